@@ -1008,28 +1008,20 @@ const noCellMutationWithoutSet = {
   },
 };
 
+// Deprecated: async components now render under `Await`. The rule stays
+// registered so configs that enable it keep working, but reports nothing.
 const noAsyncComponent = {
   meta: {
+    deprecated: true,
     docs: {
-      description: 'disallow async Retend JSX components',
+      description:
+        'Deprecated. Async Retend JSX components are supported under `Await`.',
     },
     schema: [],
-    messages: {
-      unexpected:
-        'Retend components should not be `async`. Put async work in cells, tasks, or lifecycle hooks.',
-    },
+    messages: {},
   },
-  createOnce(context) {
-    return {
-      Program(node) {
-        for (const component of getTopLevelJsxComponents(node)) {
-          if (!component.async) {
-            continue;
-          }
-          context.report({ node: component, messageId: 'unexpected' });
-        }
-      },
-    };
+  createOnce() {
+    return {};
   },
 };
 
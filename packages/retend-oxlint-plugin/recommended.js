@@ -3,7 +3,6 @@ const rules = {
   'retend/invalid-event-modifiers': 'error',
   'retend/max-component-lines': 'error',
   'retend/max-jsx-components-per-file': 'error',
-  'retend/no-async-component': 'error',
   'retend/no-cell-mutation-without-set': 'error',
   'retend/no-cell-set-in-derived': 'error',
   'retend/no-cell-type-alias': 'error',
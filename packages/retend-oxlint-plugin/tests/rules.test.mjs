@@ -125,30 +125,18 @@ test('no-cell-mutation-without-set reports property assignment on .get()', () =>
   assert.equal(reports[0].messageId, 'unexpected');
 });
 
-test('no-async-component reports async top-level JSX components', () => {
-  const reports = runVisitor('no-async-component', 'Program', {
-    type: 'Program',
-    body: [
-      {
-        type: 'FunctionDeclaration',
-        async: true,
-        id: { type: 'Identifier', name: 'App' },
-        params: [],
-        body: {
-          type: 'BlockStatement',
-          body: [
-            {
-              type: 'ReturnStatement',
-              argument: jsxElement('div'),
-            },
-          ],
-        },
-      },
-    ],
+test('no-async-component is deprecated and reports nothing', () => {
+  const rule = plugin.rules['no-async-component'];
+  const reports = [];
+  const visitors = rule.createOnce({
+    report(report) {
+      reports.push(report);
+    },
   });
 
-  assert.equal(reports.length, 1);
-  assert.equal(reports[0].messageId, 'unexpected');
+  assert.equal(rule.meta.deprecated, true);
+  assert.deepEqual(visitors, {});
+  assert.equal(reports.length, 0);
 });
 
 function identifier(name) {
@@ -125,6 +125,7 @@ async function renderPath(options) {
       appElement.replaceChildren(...[renderedRoot].flat());
 
       await router.navigate(path);
+      await router.waitForLoaders();
       await retendModule.waitForAsyncBoundaries();
       let stalledTeleports = false;
       while (document.teleportMounts.length) {
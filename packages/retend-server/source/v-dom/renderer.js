@@ -71,6 +71,30 @@ export class VDOMRenderer {
     return false;
   }
 
+  /**
+   * @param {VDom.VNode} a
+   * @param {VDom.VNode} b
+   */
+  comparePosition(a, b) {
+    const pathA = getAncestry(a);
+    const pathB = getAncestry(b);
+    if (pathA[0] !== pathB[0]) return 0;
+    let depth = 1;
+    while (
+      depth < pathA.length &&
+      depth < pathB.length &&
+      pathA[depth] === pathB[depth]
+    ) {
+      depth++;
+    }
+    // An ancestor comes before its descendants.
+    if (depth === pathA.length || depth === pathB.length) {
+      return pathA.length - pathB.length;
+    }
+    const siblings = pathA[depth - 1].childNodes;
+    return siblings.indexOf(pathA[depth]) - siblings.indexOf(pathB[depth]);
+  }
+
   /**
    * @param {VDom.VDocumentFragment} fragment
    * @returns {DOMHandle}
@@ -231,3 +255,20 @@ export class VDOMRenderer {
     return anchorNode;
   }
 }
+
+/**
+ * Returns a node and its ancestors, starting from the root.
+ *
+ * @param {VDom.VNode} node
+ * @returns {VDom.VNode[]}
+ */
+function getAncestry(node) {
+  const path = [];
+  /** @type {VDom.VNode | null} */
+  let current = node;
+  while (current) {
+    path.push(current);
+    current = current.parentNode;
+  }
+  return path.toReversed();
+}
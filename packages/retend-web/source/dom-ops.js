@@ -1,6 +1,6 @@
 /** @import { ReconcilerOptions, Renderer } from "retend" */
 /** @import { DOMRenderer } from './dom-renderer.js'; */
-import { Cell, SourceCell, linkNodes } from 'retend';
+import { Cell, SourceCell, holdForTransition, linkNodes } from 'retend';
 
 import {
   addCellListener,
@@ -173,7 +173,7 @@ export function setProperty(node, key, value, setEventListener) {
     }
     addCellListener(element, value, function (value) {
       if (value instanceof Promise) {
-        value.then((resolvedValue) => {
+        holdForTransition(value).then((resolvedValue) => {
           setAttribute(this, key, resolvedValue, setEventListener);
         });
       } else setAttribute(this, key, value, setEventListener);
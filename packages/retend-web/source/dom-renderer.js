@@ -18,6 +18,7 @@ import {
 
 import * as Ops from './dom-ops.js';
 import { withHMRBoundaries } from './plugins/hmr.js';
+import { removeTreeCellListeners } from './utils.js';
 
 const ELEMENT_NODE = 1;
 const TEXT_NODE = 3;
@@ -103,6 +104,17 @@ export class DOMRenderer {
     return node.isConnected;
   }
 
+  /**
+   * @param {Node} a
+   * @param {Node} b
+   */
+  comparePosition(a, b) {
+    if (a === b) return 0;
+    const position = a.compareDocumentPosition(b);
+    if (position & a.DOCUMENT_POSITION_DISCONNECTED) return 0;
+    return position & a.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  }
+
   /**
    * @param {DocumentFragment} fragment
    * @returns {DOMHandle}
@@ -811,6 +823,15 @@ export class DOMRenderer {
   }
 }
 
+/**
+ * @typedef RenderedApp
+ * @property {() => void} unmount
+ * Removes the application from the element, disposing its effects, cell
+ * listeners and teleported nodes.
+ * @property {(App: () => JSX.Template) => void} replace
+ * Unmounts the application, then renders another one in its place.
+ */
+
 /**
  * Renders the provided JSX application to the specified DOM element.
  *
@@ -819,11 +840,59 @@ export class DOMRenderer {
  *
  * @param {Element | ShadowRoot} element - The target DOM element to mount the application into.
  * @param {() => JSX.Template} App - A function that returns the template to be rendered.
+ * @returns {RenderedApp} A handle for unmounting or replacing the application.
+ *
+ * @example
+ * ```tsx
+ * const app = renderToDOM(document.getElementById('island'), Island);
+ * // Later, when the island is no longer needed:
+ * app.unmount();
+ * ```
  */
 export function renderToDOM(element, App) {
   const renderer = new DOMRenderer(window);
   setActiveRenderer(renderer);
-  const root = renderer.render(App);
-  element.append(...[root].flat());
-  runPendingSetupEffects();
+  /** @type {StateSnapshot | null} */
+  let snapshot = null;
+  /** @type {[Comment, Comment] | null} */
+  let handle = null;
+
+  /** @param {() => JSX.Template} App */
+  const mount = (App) => {
+    const rootSnapshot = branchState('deferred');
+    const root = withState(rootSnapshot, () => renderer.render(App));
+    const group = renderer.createGroup();
+    renderer.append(group, root);
+    handle = renderer.createGroupHandle(group);
+    snapshot = rootSnapshot;
+    element.append(group);
+    rootSnapshot.node.activate();
+  };
+
+  const unmount = () => {
+    if (!snapshot || !handle) return;
+    const [start, end] = handle;
+    /** @type {ChildNode[]} */
+    const nodes = [];
+    for (let node = start.nextSibling; node && node !== end; ) {
+      nodes.push(node);
+      node = node.nextSibling;
+    }
+    for (const node of nodes) removeTreeCellListeners(node);
+    snapshot.node.dispose();
+    for (const node of nodes) node.remove();
+    start.remove();
+    end.remove();
+    snapshot = null;
+    handle = null;
+  };
+
+  mount(App);
+  return {
+    unmount,
+    replace(App) {
+      unmount();
+      mount(App);
+    },
+  };
 }
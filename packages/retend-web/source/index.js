@@ -1,3 +1,4 @@
 export * from './dom-renderer.js';
 export * from './shadowroot.js';
 export * from './teleport.js';
+export * from './virtual.js';
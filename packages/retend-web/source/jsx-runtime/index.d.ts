@@ -3187,7 +3187,9 @@ declare module 'retend/jsx-runtime' {
     export type Element = Template;
     export type DivProps = JSX.IntrinsicElements['div'];
     export type AnchorProps = JSX.IntrinsicElements['a'];
+    export type FormProps = JSX.IntrinsicElements['form'];
     interface BaseContainerProps extends DivProps {}
     interface LinkElementProps extends AnchorProps {}
+    interface FormElementProps extends FormProps {}
   }
 }
@@ -1,5 +1,5 @@
 /** @import { JsxElement } from './dom-renderer.js'; */
-import { AsyncCell, Cell, useAwait } from 'retend';
+import { AsyncCell, Cell, holdForTransition, useAwait } from 'retend';
 
 /** @import { DOMRenderer } from './dom-renderer.js'; */
 
@@ -258,6 +258,26 @@ export function removeCellListeners(node) {
   }
 }
 
+/**
+ * Removes the cell listeners of a node and of every node within it,
+ * including the contents of shadow roots and teleported containers.
+ *
+ * @param {Node} root
+ */
+export function removeTreeCellListeners(root) {
+  /** @type {Node[]} */
+  const stack = [root];
+  while (stack.length) {
+    const node = /** @type {Node} */ (stack.pop());
+    removeCellListeners(node);
+    const teleported = Reflect.get(node, '__retendTeleportedContainer');
+    if (teleported) stack.push(teleported);
+    const { shadowRoot } = /** @type {Partial<Element>} */ (node);
+    if (shadowRoot) stack.push(shadowRoot);
+    for (const child of node.childNodes) stack.push(child);
+  }
+}
+
 /**
  * @template [This=Node]
  * @param {This} source
@@ -310,7 +330,7 @@ export function convertObjectToCssStylesheet(styles, useHost, element) {
          */
         function applyStyle(newValue) {
           if (newValue instanceof Promise) {
-            newValue.then((resolvedValue) => {
+            holdForTransition(newValue).then((resolvedValue) => {
               applyStyle.bind(this)(resolvedValue);
             });
           } else if (!isSomewhatFalsy(newValue)) {
@@ -431,7 +451,9 @@ export function normalizeClassValue(val, element) {
      */
     function applyValue(newValue) {
       if (newValue instanceof Promise) {
-        newValue.then((newValue) => setClasses(newValue, this));
+        holdForTransition(newValue).then((newValue) =>
+          setClasses(newValue, this)
+        );
         return;
       }
       setClasses(newValue, this);
@@ -467,7 +489,7 @@ export function normalizeClassValue(val, element) {
        */
       function applyValue(newVal) {
         if (newVal instanceof Promise) {
-          newVal.then((newValue) => {
+          holdForTransition(newVal).then((newValue) => {
             try {
               if (newValue) {
                 this.classList.add(...key.split(' '));
@@ -695,7 +717,9 @@ export function setAttribute(
        */
       function applyInnerHTML(newValue) {
         if (newValue instanceof Promise) {
-          newValue.then((resolved) => applyInnerHTML.bind(this)(resolved));
+          holdForTransition(newValue).then((resolved) =>
+            applyInnerHTML.bind(this)(resolved)
+          );
         } else if (this.innerHTML !== newValue) {
           this.innerHTML = newValue;
         }
@@ -0,0 +1,72 @@
+/** @import { VirtualAdapter } from 'retend' */
+
+import { Cell } from 'retend';
+
+/**
+ * @typedef ScrollAdapterOptions
+ * @property {'vertical' | 'horizontal'} [axis]
+ * The direction the list scrolls in. Defaults to `'vertical'`.
+ */
+
+/**
+ * Creates a virtualization adapter that reads the scroll position and size of
+ * an element or window, for use with `createVirtualRange`.
+ *
+ * The target can be a ref cell, in which case it is read when the range is set
+ * up, after the element has been rendered.
+ *
+ * @param {Cell<HTMLElement | null> | HTMLElement | Window} target
+ * @param {ScrollAdapterOptions} [options]
+ * @returns {VirtualAdapter}
+ *
+ * @example
+ * ```jsx
+ * const viewport = Cell.source(null);
+ * const range = createVirtualRange(createScrollAdapter(viewport), {
+ *   itemSize: 32,
+ * });
+ * ```
+ */
+export function createScrollAdapter(target, options = {}) {
+  const horizontal = options.axis === 'horizontal';
+  const resolve = () => (Cell.isCell(target) ? target.get() : target);
+
+  return {
+    getOffset() {
+      const scroller = resolve();
+      if (!scroller) return 0;
+      if ('nodeType' in scroller) {
+        return horizontal ? scroller.scrollLeft : scroller.scrollTop;
+      }
+      return horizontal ? scroller.scrollX : scroller.scrollY;
+    },
+
+    getSize() {
+      const scroller = resolve();
+      if (!scroller) return 0;
+      if ('nodeType' in scroller) {
+        return horizontal ? scroller.clientWidth : scroller.clientHeight;
+      }
+      return horizontal ? scroller.innerWidth : scroller.innerHeight;
+    },
+
+    observe(callback) {
+      const scroller = resolve();
+      if (!scroller) return () => {};
+      scroller.addEventListener('scroll', callback, { passive: true });
+      if (!('nodeType' in scroller)) {
+        scroller.addEventListener('resize', callback);
+        return () => {
+          scroller.removeEventListener('scroll', callback);
+          scroller.removeEventListener('resize', callback);
+        };
+      }
+      const observer = new ResizeObserver(callback);
+      observer.observe(scroller);
+      return () => {
+        scroller.removeEventListener('scroll', callback);
+        observer.disconnect();
+      };
+    },
+  };
+}
@@ -1,4 +1,4 @@
-/** @import { Renderer } from './library/renderer.js' */
+/** @import { Renderer, RendererTypes } from './library/renderer.js' */
 /** @import { Scope } from './library/scope.js' */
 
 import { useScopeContext } from './library/scope.js';
@@ -24,6 +24,30 @@ export function createGroupFromNodes(input, renderer) {
   return group;
 }
 
+/**
+ * @template {RendererTypes} Types
+ * @param {unknown} value
+ * @param {Renderer<Types>} renderer
+ * @returns {unknown[]}
+ */
+export function flattenNodes(value, renderer) {
+  if (Array.isArray(value)) {
+    const result = [];
+    for (const item of value) {
+      if (renderer.isGroup(item)) {
+        result.push(...renderer.unwrapGroup(item));
+      } else {
+        result.push(item);
+      }
+    }
+    return result;
+  }
+  if (renderer.isGroup(value)) {
+    return [...renderer.unwrapGroup(value)];
+  }
+  return [value];
+}
+
 /**
  * @template T
  * @param {Scope<T>} Scope
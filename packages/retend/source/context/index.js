@@ -28,7 +28,11 @@ export const CustomEvent =
  * @typedef {{
  *    globalData: Map<PropertyKey, any>
  *    renderer?: Renderer<any>
+ *    isolated?: boolean
  * }} Environments
+ *
+ * `isolated` marks the contexts of apps created with `createApp`, which are
+ * only active while the app's own code runs.
  */
 
 export function resetGlobalContext() {
@@ -55,6 +59,44 @@ export function getGlobalContext() {
   return globalThis.__RETEND_GLOBAL_CONTEXT__;
 }
 
+/**
+ * Runs a callback with the given context active, then restores the context
+ * that was active before.
+ *
+ * Only the synchronous part of the callback runs within the context.
+ *
+ * @template T
+ * @param {Environments} context
+ * @param {() => T} callback
+ * @returns {T}
+ */
+export function runInContext(context, callback) {
+  const previous = globalThis.__RETEND_GLOBAL_CONTEXT__;
+  if (previous === context) return callback();
+  globalThis.__RETEND_GLOBAL_CONTEXT__ = context;
+  try {
+    return callback();
+  } finally {
+    globalThis.__RETEND_GLOBAL_CONTEXT__ = previous;
+  }
+}
+
+/**
+ * Wraps a function so that it always runs within the given context.
+ *
+ * @template {(...args: any[]) => any} F
+ * @param {Environments} context
+ * @param {F} fn
+ * @returns {F}
+ */
+export function bindToContext(context, fn) {
+  return /** @type {F} */ (
+    function (/** @type {any[]} */ ...args) {
+      return runInContext(context, () => fn.apply(this, args));
+    }
+  );
+}
+
 if (!globalThis.__RETEND_GLOBAL_CONTEXT__) {
   setGlobalContext({
     globalData: new Map(),
@@ -24,6 +24,10 @@ export namespace JSX {
     onClick?: JSX.ValueOrCell<(event: Event) => void>;
     active?: JSX.ValueOrCell<Booleanish>;
   }
+  interface FormElementProps extends IntrinsicAttributes {
+    action?: JSX.ValueOrCell<string>;
+    method?: JSX.ValueOrCell<string>;
+  }
 
   // biome-ignore lint/suspicious/noEmptyInterface: should be augmented by renderers.
   interface IntrinsicElements {}
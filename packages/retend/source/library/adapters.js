@@ -0,0 +1,146 @@
+import { Cell } from '@adbl/cells';
+
+import { getState } from './scope.js';
+
+/**
+ * Describes how to read and watch a reactive type from another library, so
+ * that it can be used anywhere a cell is accepted.
+ *
+ * @template {object} [T=any]
+ * @typedef ReactiveAdapter
+ * @property {(value: object) => value is T} test
+ * Checks whether a value is of the adapted type.
+ * @property {(value: T) => unknown} get
+ * Reads the current value.
+ * @property {(value: T, onChange: (next: unknown) => void) => () => void} subscribe
+ * Watches the value for changes, and returns a function that stops watching.
+ */
+
+/** @type {ReactiveAdapter[]} */
+const adapters = [];
+
+/**
+ * Registers an adapter for a reactive type from another library. Values of
+ * that type can then be used as element properties, as text children, and as
+ * the values of `If`, `Switch` and `For`, like cells.
+ *
+ * Each use subscribes to the value, and the subscription is removed when the
+ * component or branch using it is disposed.
+ *
+ * @template {object} T
+ * @param {ReactiveAdapter<T>} adapter
+ * @returns {() => void} A function that removes the adapter.
+ *
+ * @example
+ * ```tsx
+ * import { Signal } from 'signal-polyfill';
+ * import { createSignalAdapter, registerReactiveAdapter } from 'retend';
+ *
+ * registerReactiveAdapter(createSignalAdapter(Signal));
+ *
+ * const count = new Signal.State(0);
+ * <button onClick={() => count.set(count.get() + 1)}>{count}</button>;
+ * ```
+ */
+export function registerReactiveAdapter(adapter) {
+  adapters.push(adapter);
+  return () => {
+    const index = adapters.indexOf(adapter);
+    if (index !== -1) adapters.splice(index, 1);
+  };
+}
+
+/**
+ * Converts a value of a registered reactive type into a cell that follows it
+ * for as long as the current node is alive. Other values are returned as-is.
+ *
+ * @param {unknown} value
+ * @returns {any}
+ * @internal
+ */
+export function adaptReactive(value) {
+  if (!adapters.length || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Cell.isCell(value)) return value;
+  const adapter = adapters.find((adapter) => adapter.test(value));
+  if (!adapter) return value;
+
+  const cell = Cell.source(adapter.get(value));
+  const unsubscribe = adapter.subscribe(value, (next) => cell.set(next));
+  getState().node.addDispose(unsubscribe);
+  return cell;
+}
+
+/**
+ * @typedef {{ subscribe: (next: (value: any) => void) => any }} Observable
+ */
+
+/**
+ * An adapter for observables, such as the ones from RxJS or Svelte stores:
+ * objects with a `subscribe` method that returns either an unsubscribe
+ * function or a subscription object.
+ *
+ * Observables have no current value to read, so the cell holds `undefined`
+ * until the first emission, unless the observable emits as soon as it is
+ * subscribed to.
+ *
+ * @type {ReactiveAdapter<Observable>}
+ */
+export const observableAdapter = {
+  /**
+   * @param {object} value
+   * @returns {value is Observable}
+   */
+  test(value) {
+    return 'subscribe' in value && typeof value.subscribe === 'function';
+  },
+  get: () => undefined,
+  subscribe(observable, onChange) {
+    const subscription = observable.subscribe(onChange);
+    return () => {
+      if (typeof subscription === 'function') subscription();
+      else subscription?.unsubscribe?.();
+    };
+  },
+};
+
+/**
+ * Creates an adapter for the `State` and `Computed` signals of the TC39
+ * signals proposal, as implemented by `signal-polyfill`.
+ *
+ * Changes are read in a microtask after the signal is marked dirty, since
+ * signals cannot be read while a watcher is being notified.
+ *
+ * @param {any} Signal The `Signal` namespace, such as the one exported by
+ * `signal-polyfill`.
+ * @returns {ReactiveAdapter<{ get: () => unknown }>}
+ */
+export function createSignalAdapter(Signal) {
+  return {
+    /**
+     * @param {object} value
+     * @returns {value is { get: () => unknown }}
+     */
+    test(value) {
+      return value instanceof Signal.State || value instanceof Signal.Computed;
+    },
+    get: (signal) => signal.get(),
+    subscribe(signal, onChange) {
+      let pending = false;
+      const watcher = new Signal.subtle.Watcher(() => {
+        if (pending) return;
+        pending = true;
+        queueMicrotask(() => {
+          pending = false;
+          // Reading the signal re-evaluates computed signals, and
+          // re-arming the watcher lets it be notified of the next change.
+          onChange(signal.get());
+          watcher.watch();
+        });
+      });
+      watcher.watch(signal);
+      return () => watcher.unwatch(signal);
+    },
+  };
+}
@@ -0,0 +1,79 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { Environments } from '../context/index.js' */
+/** @import { Renderer } from './renderer.js' */
+
+import { runInContext } from '../context/index.js';
+import { waitForAsyncBoundaries } from './await.js';
+import { runPendingSetupEffects } from './scope.js';
+
+/**
+ * @template {Renderer<any>} R
+ * @typedef AppOptions
+ * @property {R} renderer The renderer the app renders with.
+ */
+
+/**
+ * @template {Renderer<any>} R
+ * @typedef App
+ * @property {R} renderer
+ * @property {Environments} context
+ * The app's own context, holding its renderer and global data.
+ * @property {<T>(callback: () => T) => T} run
+ * Runs a callback with the app's context active.
+ * @property {(template: JSX.Template) => ReturnType<R['render']>} render
+ * Renders a template with the app's renderer.
+ * @property {() => Promise<void>} runPendingSetupEffects
+ * Runs the setup effects registered while rendering, like the global
+ * `runPendingSetupEffects`.
+ * @property {() => Promise<void>} waitForAsyncBoundaries
+ * Waits for the app's `Await` boundaries to resolve, like the global
+ * `waitForAsyncBoundaries`.
+ */
+
+/**
+ * Creates an app with a context of its own, separate from the global one.
+ *
+ * Several apps can then live on one page, such as micro-frontends or a
+ * widget embedded in a host app, without overwriting each other's renderer,
+ * teleports, shared hooks or `Unique` instances.
+ *
+ * The app's context is active while its components render, and when its
+ * `onSetup` and `onConnected` effects, the re-renders of its `If`, `Switch`,
+ * `Dynamic` and `For` blocks and its event handlers run. These carry the
+ * context of the branch they belong to, so a cell shared by two apps updates
+ * each app within its own context. For other callbacks, such as a
+ * `setTimeout` or a cell listener registered in a component, use
+ * `app.run()`.
+ *
+ * @template {Renderer<any>} R
+ * @param {AppOptions<R>} options
+ * @returns {App<R>}
+ *
+ * @example
+ * ```tsx
+ * import { createApp } from 'retend';
+ * import { DOMRenderer } from 'retend-web';
+ *
+ * const app = createApp({ renderer: new DOMRenderer(window) });
+ * const root = document.getElementById('widget');
+ * root.append(app.render(<Widget />));
+ * await app.runPendingSetupEffects();
+ * ```
+ */
+export function createApp(options) {
+  const { renderer } = options;
+  /** @type {Environments} */
+  const context = { globalData: new Map(), renderer, isolated: true };
+
+  return {
+    renderer,
+    context,
+    run: (callback) => runInContext(context, callback),
+    render: (template) =>
+      runInContext(context, () => renderer.render(template)),
+    runPendingSetupEffects: () =>
+      runInContext(context, () => runPendingSetupEffects()),
+    waitForAsyncBoundaries: () =>
+      runInContext(context, () => waitForAsyncBoundaries()),
+  };
+}
@@ -23,10 +23,71 @@ import { createScope, branchState, getState, withState } from './scope.js';
  * @typedef AwaitProps
  * @property {JSX.Template} [fallback]
  * @property {JSX.Children} [children]
+ * @property {number} [timeout]
+ * The time, in milliseconds, to wait for the content before giving up on
+ * waiting for all of it. After the timeout, `timeoutFallback` is shown in
+ * place of `fallback` if given, or else the content is revealed as it is,
+ * with the parts that are still loading filling in as they resolve.
+ * @property {JSX.Template} [timeoutFallback]
+ * Shown in place of `fallback` once the `timeout` has passed.
+ * @property {number} [minDuration]
+ * The minimum time, in milliseconds, to keep the fallback on screen once it
+ * is shown, so that content which loads quickly does not make it flicker.
+ * @property {(reason: unknown, retry: () => void) => JSX.Template} [error]
+ * Rendered in place of the content when one of the awaited cells rejects.
+ * Calling `retry` shows the fallback again, and re-runs the cells that
+ * failed. Without it, the rejection is passed to the nearest error boundary.
+ */
+
+/**
+ * @typedef {'forwards' | 'backwards' | 'together'} RevealOrder
+ */
+
+/**
+ * @typedef AwaitGroupProps
+ * @property {RevealOrder} [revealOrder]
+ * The order to reveal the `Await` boundaries in. With `forwards`, a boundary
+ * is revealed only after the ones before it, with `backwards` only after the
+ * ones after it, and with `together` all of them are revealed at once.
+ * Defaults to `forwards`.
+ * @property {'collapsed'} [tail]
+ * With `collapsed`, only the fallback of the next boundary to reveal is
+ * shown, and the boundaries after it render nothing until it is revealed.
+ * @property {JSX.Children} [children]
+ */
+
+/**
+ * A boundary registered with an `AwaitGroup`.
+ *
+ * @typedef AwaitGroupEntry
+ * @property {AwaitContext} context
+ * @property {unknown} node
+ * The first node of the boundary, which places it within the group.
+ * @property {() => boolean} ready
+ * Whether the boundary can be revealed, once it has settled or has timed out
+ * without a `timeoutFallback`.
+ * @property {() => void} reveal
+ * Allows the boundary to show its content, or its error view, once it is
+ * ready.
+ * @property {(collapsed: boolean) => void} collapse
+ * Hides or shows the fallback of the boundary.
+ */
+
+/**
+ * @typedef AwaitGroupContext
+ * @property {AwaitContext | null} outer
+ * The `Await` boundary around the group, whose descendant boundaries are
+ * nested in the group's boundaries rather than being part of the group.
+ * @property {(entry: AwaitGroupEntry) => () => void} register
+ * @property {() => void} update
+ * Reveals the boundaries that are ready, for when one becomes ready without
+ * settling.
  */
 
 /** @type {Scope<AwaitContext>} */
 const AwaitScope = createScope('retend:Await');
+/** @type {Scope<AwaitGroupContext>} */
+const AwaitGroupScope = createScope('retend:AwaitGroup');
 const AsyncKey = Symbol('retend:Await');
 
 /**
@@ -46,9 +107,31 @@ const AsyncKey = Symbol('retend:Await');
  *   <UserProfile id="123" />
  * </Await>
  * ```
+ *
+ * @example
+ * ```jsx
+ * <Await
+ *   fallback={<Spinner />}
+ *   minDuration={300}
+ *   timeout={5000}
+ *   timeoutFallback={<p>This is taking longer than usual...</p>}
+ *   error={(reason, retry) => (
+ *     <button type="button" onClick={retry}>Try again</button>
+ *   )}
+ * >
+ *   <UserProfile id="123" />
+ * </Await>
+ * ```
  */
 export function Await(props) {
-  const { children, fallback } = props;
+  const {
+    children,
+    fallback,
+    timeout,
+    timeoutFallback,
+    minDuration = 0,
+    error: renderError,
+  } = props;
   const { globalData } = getGlobalContext();
   const renderer = getActiveRenderer();
   const fragmentCtx = useFragmentCtx();
@@ -58,7 +141,19 @@ export function Await(props) {
   /** @type {SourceCell<Set<AsyncCell<any>>>} */
   const asyncCells = Cell.source(new Set());
   const awaitList = Cell.derivedAsync(async (get) => {
-    await Promise.all([...get(asyncCells).values()].map(get));
+    const pending = Promise.all([...get(asyncCells).values()].map(get));
+    if (!renderError) {
+      await pending;
+      return null;
+    }
+    // With an error view, a rejection settles the boundary instead of
+    // failing it.
+    try {
+      await pending;
+      return null;
+    } catch (reason) {
+      return { reason };
+    }
   });
   /** @param {any} promise */
   const untilDisposed = (promise) =>
@@ -74,14 +169,17 @@ export function Await(props) {
     asyncHolders.add(tracked);
     return tracked;
   };
+  /** @type {() => void} */
+  let markFinished = () => {};
   /** @type {Promise<void>} */
   const finished = untilDisposed(
     new Promise((resolve) => {
-      initialStateDone.listen(() => {
+      markFinished = () => {
         // @ts-expect-error: Writable within Await.
         value.done = true;
         queueMicrotask(() => resolve(undefined));
-      });
+      };
+      initialStateDone.listen(markFinished);
     })
   );
   const waitingPromise = track(finished);
@@ -106,6 +204,9 @@ export function Await(props) {
   snapshot.data = { handle };
   const fallbackSnapshot = branchState();
   fallbackSnapshot.data = { handle };
+  const revealGroup = getSafeScopeContext(AwaitGroupScope);
+  const outerAwait = useAwait();
+  const inGroup = revealGroup !== null && revealGroup.outer === outerAwait;
 
   const AwaitContent = () => AwaitScope.Provider({ value, children });
   Object.defineProperty(AwaitContent, 'name', { value: 'Await.Content' });
@@ -117,31 +218,242 @@ export function Await(props) {
     )
   );
 
-  awaitList.pending.listen((isPending) => {
-    if (!isPending) initialStateDone.set(true);
+  let contentShown = false;
+  let disposed = false;
+  // Boundaries in an AwaitGroup wait for the group to let them reveal.
+  let released = !inGroup;
+  let collapsed = false;
+  let waiting = false;
+  let timedOut = false;
+  /**
+   * The rejection the error view is shown for, until it is retried.
+   * @type {{ reason: unknown } | null}
+   */
+  let failure = null;
+  /** @type {() => JSX.Template} */
+  let waitingView = () => fallback ?? null;
+  /**
+   * Settles once the fallback has been on screen for `minDuration`.
+   * @type {Promise<unknown> | null}
+   */
+  let fallbackHeld = null;
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  getState().node.addDispose(() => {
+    disposed = true;
+    clearTimeout(timer);
   });
 
+  const holdFallback = () => {
+    if (minDuration <= 0) return;
+    fallbackHeld = new Promise((resolve) => setTimeout(resolve, minDuration));
+  };
+
+  /**
+   * Renders a fallback, the timeout fallback or the error view in place of
+   * the content.
+   * @param {() => JSX.Template} template
+   */
+  const showPlaceholder = (template) => {
+    fallbackSnapshot.node.dispose();
+    const nodes = withState(fallbackSnapshot, () =>
+      renderer.handleComponent(template, [], fallbackSnapshot)
+    );
+    const logical = [nodes].flat();
+    fragmentCtx?.correlate(group, logical, handle);
+    renderer.write(handle, logical);
+    fallbackSnapshot.node.activate();
+  };
+
+  const showWaiting = () => {
+    waiting = true;
+    showPlaceholder(collapsed ? () => null : waitingView);
+  };
+
   const showContent = () => {
+    clearTimeout(timer);
+    if (initialStateDone.get()) asyncCells.set(new Set());
+    if (contentShown) return;
+    contentShown = true;
+    waiting = false;
     fallbackSnapshot.node.dispose();
     fragmentCtx?.correlate(group, [render].flat(), handle);
     renderer.write(handle, [render].flat());
-    asyncCells.set(new Set());
     snapshot.node.activate();
   };
 
-  initialStateDone.listen(showContent);
-  if (initialStateDone.get()) showContent();
+  /** @param {unknown} reason */
+  const showError = (reason) => {
+    if (!renderError) return;
+    clearTimeout(timer);
+    contentShown = false;
+    waiting = false;
+    const retry = () => {
+      failure = null;
+      for (const cell of asyncCells.peek()) {
+        if (cell.error.get()) cell.revalidate();
+      }
+      holdFallback();
+      showWaiting();
+    };
+    showPlaceholder(() => renderError(reason, retry));
+  };
+
+  awaitList.pending.listen((isPending) => {
+    if (isPending) return;
+    if (!renderError) {
+      initialStateDone.set(true);
+      return;
+    }
+    awaitList.get().then((result) => {
+      if (!result) {
+        initialStateDone.set(true);
+        return;
+      }
+      failure = result;
+      markFinished();
+      if (released) showError(result.reason);
+    });
+  });
+  awaitList.error.listen((error) => {
+    if (error) snapshot.node.handleError(error);
+  });
+
+  const reveal = () => {
+    if (contentShown || !fallbackHeld) {
+      showContent();
+      return;
+    }
+    track(fallbackHeld).then(() => {
+      if (!disposed) showContent();
+    });
+  };
+
+  if (inGroup) {
+    const unregister = revealGroup.register({
+      context: value,
+      node: renderer.unwrapGroup(group)[0],
+      ready: () => value.done || timedOut,
+      reveal() {
+        released = true;
+        if (failure) showError(failure.reason);
+        else if (initialStateDone.get() || timedOut) reveal();
+      },
+      collapse(hidden) {
+        if (hidden === collapsed) return;
+        collapsed = hidden;
+        if (waiting) showWaiting();
+      },
+    });
+    getState().node.addDispose(unregister);
+  }
+
+  initialStateDone.listen(() => {
+    if (released) reveal();
+  });
+  if (initialStateDone.get() && released) showContent();
   else {
-    const fallbackNodes = withState(fallbackSnapshot, () =>
-      renderer.handleComponent(() => fallback ?? null, [], fallbackSnapshot)
-    );
-    const fallbackLogical = [fallbackNodes].flat();
-    fragmentCtx?.correlate(group, fallbackLogical, handle);
-    renderer.write(handle, fallbackLogical);
+    holdFallback();
+    showWaiting();
+    if (timeout !== undefined) {
+      timer = setTimeout(() => {
+        if (initialStateDone.get()) return;
+        if (timeoutFallback !== undefined) {
+          waitingView = () => timeoutFallback;
+          showWaiting();
+          return;
+        }
+        timedOut = true;
+        if (released) showContent();
+        else revealGroup?.update();
+      }, timeout);
+    }
   }
   return group;
 }
 
+/**
+ * Coordinates the order in which the `Await` boundaries within it reveal
+ * their content, so that a list of independently loading sections appears in
+ * document order instead of whenever each one is ready.
+ *
+ * Only the boundaries directly within the group take part; boundaries nested
+ * in them reveal along with their parent boundary as usual.
+ *
+ * @param {AwaitGroupProps} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * <AwaitGroup revealOrder="forwards" tail="collapsed">
+ *   {For(postIds, (id) => (
+ *     <Await fallback={<PostSkeleton />}>
+ *       <Post id={id} />
+ *     </Await>
+ *   ))}
+ * </AwaitGroup>
+ * ```
+ */
+export function AwaitGroup(props) {
+  const { revealOrder = 'forwards', tail, children } = props;
+  const renderer = getActiveRenderer();
+  /** @type {AwaitGroupEntry[]} */
+  const entries = [];
+  /** @type {Set<AwaitGroupEntry>} */
+  const revealed = new Set();
+
+  /** @param {AwaitGroupEntry} entry */
+  const release = (entry) => {
+    if (revealed.has(entry)) return;
+    revealed.add(entry);
+    entry.reveal();
+  };
+
+  const update = () => {
+    // Boundaries can register after the ones that follow them, such as in
+    // an item prepended to a list, and are only in place once inserted, so
+    // they are put in document order on every update.
+    entries.sort((a, b) => renderer.comparePosition?.(a.node, b.node) ?? 0);
+    const ordered =
+      revealOrder === 'backwards' ? entries.toReversed() : entries;
+    if (revealOrder === 'together') {
+      if (entries.every((entry) => entry.ready())) {
+        for (const entry of entries) release(entry);
+      }
+    } else {
+      for (const entry of ordered) {
+        if (!entry.ready()) break;
+        release(entry);
+      }
+    }
+    if (tail !== 'collapsed') return;
+    let fallbackShown = false;
+    for (const entry of ordered) {
+      if (revealed.has(entry)) continue;
+      entry.collapse(fallbackShown);
+      fallbackShown = true;
+    }
+  };
+
+  /** @type {AwaitGroupContext} */
+  const value = {
+    outer: useAwait(),
+    register(entry) {
+      entries.push(entry);
+      entry.context.finished.then(update);
+      update();
+      return () => {
+        entries.splice(entries.indexOf(entry), 1);
+        revealed.delete(entry);
+        update();
+      };
+    },
+    update,
+  };
+
+  return AwaitGroupScope.Provider({ value, children });
+}
+
 /**
  * Retrieves the nearest await control context.
  *
@@ -1,9 +1,22 @@
 /** @import { Renderer } from './renderer.js' */
+/** @import { StateSnapshot } from './scope.js' */
 import { AsyncCell, SourceCell } from '@adbl/cells';
 
+import { bindToContext, getGlobalContext } from '../context/index.js';
+import { adaptReactive } from './adapters.js';
 import { useAwait } from './await.js';
+import { withComponent } from './errors.js';
 import { Fragment, FragmentPlaceholder, useFragmentCtx } from './fragment.js';
-import { createNodesFromTemplate, linkNodes } from './utils.js';
+import { withSlotOwner } from './slots.js';
+import {
+  createNodesFromTemplate,
+  linkNodes,
+  withAsyncBranch,
+  withPromiseBranch,
+} from './utils.js';
+
+const AsyncFunction = (async () => {}).constructor;
+const EVENT_LISTENER_KEY = /^on[A-Z]/;
 
 export class Block {
   /**
@@ -23,8 +36,12 @@ export class Block {
     this.fileData = fileData;
   }
 
-  /** @param {Renderer<any>} renderer */
-  instantiate(renderer) {
+  /**
+   * @param {Renderer<any>} renderer
+   * @param {StateSnapshot} [snapshot]
+   * The branch a reactive block renders the component into.
+   */
+  instantiate(renderer, snapshot) {
     const { fileData, kind, props, tagOrFn } = this;
 
     if (kind === 2) {
@@ -40,12 +57,23 @@ export class Block {
     }
 
     if (kind === 1) {
-      return renderer.handleComponent(
-        /** @type {import('./index.js').__HMR_UpdatableFn} */ (tagOrFn),
-        props === undefined ? [] : [props],
-        undefined,
-        fileData
-      );
+      const component = {
+        name: /** @type {Function} */ (tagOrFn).name,
+        fileData,
+      };
+      const render = () =>
+        withComponent(component, () =>
+          withSlotOwner(props?.children, () =>
+            renderer.handleComponent(
+              /** @type {import('./index.js').__HMR_UpdatableFn} */ (tagOrFn),
+              props === undefined ? [] : [props],
+              snapshot,
+              fileData
+            )
+          )
+        );
+      if (tagOrFn instanceof AsyncFunction) return withAsyncBranch(render);
+      return withPromiseBranch(render);
     }
 
     const tagname = /** @type {string} */ (tagOrFn);
@@ -53,10 +81,18 @@ export class Block {
     const children = createNodesFromTemplate(props.children, renderer);
     props.children = children;
 
+    const context = getGlobalContext();
     for (const key in props) {
       if (key === 'children') continue;
-      const value = props[key];
+      let value = adaptReactive(props[key]);
       if (value instanceof AsyncCell) useAwait()?.waitUntil(value);
+      if (
+        context.isolated &&
+        typeof value === 'function' &&
+        EVENT_LISTENER_KEY.test(key)
+      ) {
+        value = bindToContext(context, value);
+      }
       container = renderer.setProperty(container, key, value);
     }
 
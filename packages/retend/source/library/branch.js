@@ -0,0 +1,83 @@
+/** @import { Cell } from '@adbl/cells' */
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { StateSnapshot } from './scope.js' */
+
+import { AsyncCell } from '@adbl/cells';
+
+import { useAwait } from './await.js';
+import { useFragmentCtx } from './fragment.js';
+import { createPresenceWriter, usePresence } from './presence.js';
+import { getActiveRenderer } from './renderer.js';
+import { branchState, withState } from './scope.js';
+import { holdForTransition } from './transition.js';
+
+/**
+ * Renders the branch that a reactive value selects into a group, and
+ * replaces it whenever the value changes. The previous branch is disposed
+ * along with its effects, and within a `Presence` its nodes are kept until
+ * their exit settles.
+ *
+ * This is the shared core of `If`, `Switch` and `Dynamic`.
+ *
+ * @template T
+ * @param {Cell<T>} value
+ * @param {(value: Awaited<T>, snapshot: StateSnapshot) => unknown[]} render
+ * Renders the branch for a value. It runs within the branch's state.
+ * @returns {JSX.Template} The group the branches are rendered into.
+ * @internal
+ */
+export function createReactiveBranch(value, render) {
+  const renderer = getActiveRenderer();
+  const snapshot = branchState();
+  if (value instanceof AsyncCell) useAwait()?.waitUntil(value);
+  const fragmentCtx = useFragmentCtx();
+  const presence = usePresence();
+  /** @type {(handle: any, nodes: unknown[]) => void} */
+  const write = presence
+    ? createPresenceWriter(renderer, presence)
+    : (handle, nodes) => renderer.write(handle, nodes);
+
+  /** @param {Awaited<T>} current */
+  const callback = (current) =>
+    withState(snapshot, () => render(current, snapshot));
+
+  /** @param {Awaited<T>} nextValue */
+  const processValueChange = (nextValue) => {
+    snapshot.node.dispose();
+    let nextNodes;
+    try {
+      nextNodes = callback(nextValue);
+    } catch (error) {
+      handleError(error);
+      return;
+    }
+    fragmentCtx?.correlate(group, nextNodes, handle);
+    write(handle, nextNodes);
+    snapshot.node.activate();
+  };
+
+  /** @param {unknown} error */
+  const handleError = (error) => {
+    if (!snapshot.node.handleError(error)) throw error;
+  };
+
+  // It is important that the listener is registered first.
+  value.listen((nextValue) => {
+    if (nextValue instanceof Promise) {
+      holdForTransition(nextValue).then(processValueChange, handleError);
+    } else processValueChange(/** @type {Awaited<T>} */ (nextValue));
+  });
+
+  const initialValue = value.get();
+  const group = renderer.createGroup();
+  const handle = renderer.createGroupHandle(group);
+  snapshot.data = { handle };
+  if (initialValue instanceof Promise) {
+    initialValue.then(processValueChange, handleError);
+    return group;
+  }
+  const nodes = callback(/** @type {Awaited<T>} */ (initialValue));
+  fragmentCtx?.correlate(group, nodes, handle);
+  write(handle, nodes);
+  return group;
+}
@@ -0,0 +1,76 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { StateSnapshot } from './scope.js' */
+
+import { Cell } from '@adbl/cells';
+
+import { adaptReactive } from './adapters.js';
+import { Block } from './block.js';
+import { createReactiveBranch } from './branch.js';
+import { getActiveRenderer } from './renderer.js';
+
+/**
+ * @typedef {((props: any) => JSX.Template) | string | null | undefined} DynamicComponent
+ */
+
+/**
+ * @typedef {{
+ *   component: Cell<DynamicComponent> | DynamicComponent,
+ *   [prop: string]: any
+ * }} DynamicProps
+ */
+
+/**
+ * Renders the component, or the intrinsic element, that a cell currently
+ * holds, passing it the rest of the props.
+ *
+ * When the cell changes, the previous component is disposed along with its
+ * effects, and the new one is rendered in its place. A `null` or `undefined`
+ * component renders nothing.
+ *
+ * @param {DynamicProps} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * const editor = Cell.derived(() =>
+ *   mode.get() === 'rich' ? RichEditor : PlainEditor
+ * );
+ *
+ * <Dynamic component={editor} value={draft} />
+ *
+ * // Intrinsic elements work too.
+ * const tag = Cell.derived(() => `h${level.get()}`);
+ * <Dynamic component={tag} class="title">Heading</Dynamic>
+ * ```
+ */
+export function Dynamic(props) {
+  const { component: input, ...rest } = props;
+  const renderer = getActiveRenderer();
+  /** @type {Cell<DynamicComponent> | DynamicComponent} */
+  const component = adaptReactive(input);
+
+  /**
+   * @param {DynamicComponent} current
+   * @param {StateSnapshot} [snapshot]
+   */
+  const render = (current, snapshot) => {
+    if (!current) return [];
+    if (typeof current === 'string') {
+      // Intrinsic elements are wrapped so that they are rendered and named
+      // like components.
+      const Intrinsic = () =>
+        new Block(current, { ...rest }, undefined).instantiate(renderer);
+      Object.defineProperty(Intrinsic, 'name', { value: current });
+      return [renderer.handleComponent(Intrinsic, [], snapshot)].flat();
+    }
+    return [
+      new Block(current, { ...rest }, undefined).instantiate(
+        renderer,
+        snapshot
+      ),
+    ].flat();
+  };
+
+  if (!Cell.isCell(component)) return render(component);
+  return createReactiveBranch(component, render);
+}
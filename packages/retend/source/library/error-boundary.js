@@ -0,0 +1,118 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { StateSnapshot } from './scope.js' */
+
+import { useFragmentCtx } from './fragment.js';
+import { getActiveRenderer } from './renderer.js';
+import { branchState, withState } from './scope.js';
+
+/**
+ * @typedef ErrorBoundaryProps
+ * @property {(error: unknown, reset: () => void) => JSX.Template} fallback
+ * Renders the content shown in place of the subtree after it fails. Calling
+ * `reset` discards the fallback and mounts the subtree again.
+ * @property {JSX.Children} [children]
+ */
+
+/**
+ * Catches errors thrown within its subtree and renders a fallback in its place.
+ *
+ * Errors are caught while the subtree is first rendered, when a reactive
+ * `If`, `Switch` or `For` inside it re-renders, when an `AsyncCell` it depends
+ * on rejects, and when one of its `onSetup` effects throws. The failed subtree
+ * is disposed before the fallback is rendered, so `reset()` can mount it from
+ * scratch.
+ *
+ * Errors thrown by the fallback itself propagate to the next boundary up.
+ *
+ * @param {ErrorBoundaryProps} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * <ErrorBoundary
+ *   fallback={(error, reset) => (
+ *     <div>
+ *       <p>Something went wrong: {String(error)}</p>
+ *       <button type="button" onClick={reset}>Try again</button>
+ *     </div>
+ *   )}
+ * >
+ *   <UserProfile id="123" />
+ * </ErrorBoundary>
+ * ```
+ */
+export function ErrorBoundary(props) {
+  const { children, fallback } = props;
+  const renderer = getActiveRenderer();
+  const fragmentCtx = useFragmentCtx();
+  const group = renderer.createGroup();
+  const handle = renderer.createGroupHandle(group);
+
+  const base = branchState();
+  /** @type {StateSnapshot} */
+  const snapshot = {
+    scopes: base.scopes,
+    node: base.node.branch(),
+    renderer: base.renderer,
+    data: { handle },
+  };
+  /** @type {StateSnapshot} */
+  const fallbackSnapshot = {
+    scopes: base.scopes,
+    node: base.node.branch(),
+    renderer: base.renderer,
+    data: { handle },
+  };
+  let failed = false;
+
+  /** @param {unknown[]} nodes */
+  const commit = (nodes) => {
+    fragmentCtx?.correlate(group, nodes, handle);
+    renderer.write(handle, nodes);
+  };
+
+  /** @param {unknown} error */
+  const showFallback = (error) => {
+    if (failed) return;
+    failed = true;
+    snapshot.node.dispose();
+    const Fallback = () => fallback(error, reset);
+    Object.defineProperty(Fallback, 'name', {
+      value: 'ErrorBoundary.Fallback',
+    });
+    const nodes = withState(fallbackSnapshot, () =>
+      renderer.handleComponent(Fallback, [], fallbackSnapshot)
+    );
+    commit([nodes].flat());
+    fallbackSnapshot.node.activate();
+  };
+  snapshot.node.onError = showFallback;
+
+  const Content = () => children;
+  Object.defineProperty(Content, 'name', { value: 'ErrorBoundary.Content' });
+
+  const mount = () => {
+    let nodes;
+    try {
+      nodes = withState(snapshot, () =>
+        renderer.handleComponent(Content, [], snapshot)
+      );
+    } catch (error) {
+      showFallback(error);
+      return;
+    }
+    // An error could have been reported while the content was rendering.
+    if (!failed) commit([nodes].flat());
+  };
+
+  const reset = () => {
+    if (!failed) return;
+    failed = false;
+    fallbackSnapshot.node.dispose();
+    withState(base, mount);
+    if (!failed) snapshot.node.activate();
+  };
+
+  mount();
+  return group;
+}
@@ -0,0 +1,150 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+
+import { getGlobalContext } from '../context/index.js';
+
+/**
+ * Where an error was raised:
+ * - `setup`: an `onSetup` callback.
+ * - `cleanup`: a cleanup function, such as the one returned by `onSetup`.
+ * - `connected`: an `onConnected` callback.
+ * - `move`: an `onMove` callback of a unique component, or the function it
+ *   returns.
+ * - `middleware`: a router middleware.
+ * - `blocker`: a router navigation blocker.
+ * - `action`: a route action submitted to with `router.submit()` or `Form`.
+ * - `component`: an async component that rejected outside of an
+ *   `ErrorBoundary`.
+ * - `exit`: an `onExit` callback of a `Presence`.
+ * - `stream`: an async iterable or readable stream that failed while it was
+ *   rendered, outside of an `ErrorBoundary`.
+ *
+ * @typedef {'setup' | 'cleanup' | 'connected' | 'move' | 'middleware' | 'blocker' | 'action' | 'component' | 'exit' | 'stream'} ErrorPhase
+ */
+
+/**
+ * The component and state branch a callback was registered in.
+ *
+ * @typedef ErrorSource
+ * @property {string} [component]
+ * The name of the component that was rendering when the callback was
+ * registered.
+ * @property {JSX.JSXDevFileData} [fileData]
+ * Where the component was used, in development builds.
+ * @property {string} [snapshotId]
+ * The id of the state branch the callback belongs to, such as `0.2.1`.
+ */
+
+/**
+ * @typedef {ErrorSource & { phase: ErrorPhase }} ErrorOrigin
+ */
+
+/**
+ * @typedef {(error: unknown, origin: ErrorOrigin) => void} ErrorHandler
+ */
+
+/**
+ * @typedef ComponentInfo
+ * @property {string} name
+ * @property {JSX.JSXDevFileData} [fileData]
+ */
+
+const ErrorHandlerKey = Symbol('retend:ErrorHandler');
+
+/** @type {Record<ErrorPhase, string>} */
+const defaultMessages = {
+  setup: 'Setup effect failed:',
+  cleanup: 'Cleanup effect failed:',
+  connected: 'Error mounting node:',
+  move: 'Move callback failed:',
+  middleware: 'Router middleware failed:',
+  blocker: 'Router navigation blocker failed:',
+  action: 'Router action failed:',
+  component: 'Async component failed:',
+  exit: 'Exit callback failed:',
+  stream: 'Stream failed:',
+};
+
+/** @type {ComponentInfo | null} */
+let currentComponent = null;
+
+/**
+ * Sets the function that receives the errors raised by effects, cleanups and
+ * other callbacks that run outside of rendering, along with where they came
+ * from. Errors claimed by an `ErrorBoundary` are not reported.
+ *
+ * Without a handler, the errors are logged to the console.
+ *
+ * @param {ErrorHandler | null} handler
+ *
+ * @example
+ * ```ts
+ * setErrorHandler((error, origin) => {
+ *   telemetry.capture(error, {
+ *     phase: origin.phase,
+ *     component: origin.component,
+ *   });
+ * });
+ * ```
+ */
+export function setErrorHandler(handler) {
+  const { globalData } = getGlobalContext();
+  if (handler) globalData.set(ErrorHandlerKey, handler);
+  else globalData.delete(ErrorHandlerKey);
+}
+
+/**
+ * Passes an error to the handler set with `setErrorHandler`, or logs it.
+ *
+ * @param {unknown} error
+ * @param {ErrorOrigin} origin
+ * @internal
+ */
+export function reportError(error, origin) {
+  /** @type {ErrorHandler | undefined} */
+  const handler = getGlobalContext().globalData.get(ErrorHandlerKey);
+  if (!handler) {
+    console.error(defaultMessages[origin.phase], error);
+    return;
+  }
+  try {
+    handler(error, origin);
+  } catch (handlerError) {
+    console.error('Error handler failed:', handlerError, error);
+  }
+}
+
+/**
+ * Runs a callback with a component marked as the one rendering, so that the
+ * callbacks it registers can be traced back to it.
+ *
+ * @template T
+ * @param {ComponentInfo} component
+ * @param {() => T} callback
+ * @returns {T}
+ * @internal
+ */
+export function withComponent(component, callback) {
+  const previous = currentComponent;
+  currentComponent = component;
+  try {
+    return callback();
+  } finally {
+    currentComponent = previous;
+  }
+}
+
+/**
+ * Records the component that is rendering, to report alongside the errors of
+ * a callback registered now.
+ *
+ * @param {string} [snapshotId]
+ * @returns {ErrorSource}
+ * @internal
+ */
+export function captureErrorSource(snapshotId) {
+  return {
+    component: currentComponent?.name,
+    fileData: currentComponent?.fileData,
+    snapshotId,
+  };
+}
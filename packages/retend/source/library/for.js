@@ -1,46 +1,37 @@
 /** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { PresenceContext } from './presence.js' */
 /** @import { StateSnapshot } from './scope.js' */
+/** @import { VirtualRange } from './virtual.js' */
 
 import { Cell, AsyncCell } from '@adbl/cells';
 
+import { flattenNodes } from '../_internals.js';
+import { adaptReactive } from './adapters.js';
 import { useAwait } from './await.js';
 import { useFragmentCtx } from './fragment.js';
+import { reconcileEntries, runExit, usePresence } from './presence.js';
 import { getActiveRenderer } from './renderer.js';
-import { branchState, withState } from './scope.js';
-
-/**
- * @template {import('./renderer.js').RendererTypes} Types
- * @param {unknown} value
- * @param {import('./renderer.js').Renderer<Types>} renderer
- * @returns {unknown[]}
- */
-function flattenNodes(value, renderer) {
-  if (Array.isArray(value)) {
-    const result = [];
-    for (const item of value) {
-      if (renderer.isGroup(item)) {
-        result.push(...renderer.unwrapGroup(item));
-      } else {
-        result.push(item);
-      }
-    }
-    return result;
-  }
-  if (renderer.isGroup(value)) {
-    return [...renderer.unwrapGroup(value)];
-  }
-  return [value];
-}
+import { branchState, getState, withState } from './scope.js';
+import {
+  consumeStream,
+  createAppender,
+  isReplacingStream,
+  isStreamSource,
+} from './stream.js';
+import { holdForTransition } from './transition.js';
 
 /**
  * Extracts the item type from a list value.
- * Handles AsyncCell<Promise<Iterable<T>>>, Cell<Iterable<T>>, and Iterable<T>.
+ * Handles AsyncCell<Promise<Iterable<T>>>, Cell<Iterable<T>>, Iterable<T>,
+ * AsyncIterable<T> and ReadableStream<T>.
  * @template V
  * @typedef {V extends AsyncCell<infer P>
  *   ? Awaited<P> extends Iterable<infer T> ? T : never
  *   : V extends Cell<infer S>
  *     ? S extends Iterable<infer T> ? T : never
- *     : V extends Iterable<infer U> ? U : never} ExtractItemType
+ *     : V extends Iterable<infer U> ? U
+ *       : V extends AsyncIterable<infer U> ? U
+ *         : V extends ReadableStream<infer U> ? U : never} ExtractItemType
  */
 
 /**
@@ -57,6 +48,19 @@ function flattenNodes(value, renderer) {
  * @property {(node: unknown, fromIndex: number) => void} [onBeforeNodeRemove]
  * Provides access to a node just before it is removed by any of the
  * items in the list.
+ * @property {ForWindow} [window]
+ * Renders only the items within a range of the list, such as the ones visible
+ * in a scrolling viewport. Items are rendered as they enter the range and
+ * disposed as they leave it, while the index cells keep reporting positions in
+ * the full list.
+ */
+
+/**
+ * @typedef ForWindow
+ * @property {Cell<VirtualRange>} range
+ * The range of items to render. See `createVirtualRange`.
+ * @property {number} [overscan]
+ * The number of extra items to render on each side of the range. Defaults to 0.
  */
 
 /**
@@ -65,7 +69,10 @@ function flattenNodes(value, renderer) {
  *
  * @template V
  * @template {ExtractItemType<V>} W
- * @param {V} list - The iterable or Cell containing an iterable to map over
+ * @param {V} list - The iterable or Cell containing an iterable to map over.
+ * An async iterable or readable stream is rendered as it is read, with each
+ * chunk added to the end of the list, or replacing the whole list when the
+ * stream is marked with `replaceChunks`.
  * @param {((item: W, index: Cell<number>, iter: V) => JSX.Template)} fn - Function to create a Template for each item
  * @param {ForOptions<W>} [options]
  * @returns {JSX.Template} - A Template representing the mapped items
@@ -91,21 +98,24 @@ function flattenNodes(value, renderer) {
 export function For(list, fn, options) {
   return () => {
     const renderer = getActiveRenderer();
+    /** @type {V} */
+    const iterable = adaptReactive(list);
     if (!fn.name) Object.defineProperty(fn, 'name', { value: 'For.Item' });
 
     // -----------------------------------------------
     // STATIC LISTS
     // -----------------------------------------------
-    if (!Cell.isCell(list)) {
+    const streamed = isStreamSource(iterable);
+    if (!Cell.isCell(iterable) && !streamed && !options?.window) {
       /** @type {*} */
       const initialResult = [];
       let i = 0;
       // @ts-ignore: The list as a whole is very hard to type properly.
-      if (typeof list?.[Symbol.iterator] !== 'function') {
+      if (typeof iterable?.[Symbol.iterator] !== 'function') {
         return initialResult;
       }
       // @ts-ignore: The list as a whole is very hard to type properly.
-      for (const item of list) {
+      for (const item of iterable) {
         const nodes = renderer.handleComponent(fn, [
           item,
           Cell.source(i),
@@ -124,11 +134,35 @@ export function For(list, fn, options) {
     // -----------------------------------------------
     // REACTIVE LISTS
     // -----------------------------------------------
-    const { key, onBeforeNodeRemove, onBeforeNodesMove } = options ?? {};
+    const {
+      key,
+      onBeforeNodeRemove,
+      onBeforeNodesMove,
+      window: listWindow,
+    } = options ?? {};
+    const source = Cell.isCell(iterable)
+      ? iterable
+      : Cell.source(/** @type {any} */ (streamed ? [] : iterable));
+    /** @type {Iterable<unknown> | undefined} */
+    let lastListValue;
     /** @type {Map<any, { index: Cell<number>,  nodes: unknown[], snapshot: StateSnapshot, groupedNodes: unknown[] }>} */
     let cacheFromLastRun = new Map();
     const autoKeys = new WeakMap();
     const fragmentCtx = useFragmentCtx();
+    const presence = usePresence();
+    // Within a Presence, the rendered entries can include items that were
+    // removed from the list but are still running their exit. These are kept
+    // under unique symbol keys, so a re-added item gets a fresh instance.
+    /** @type {typeof cacheFromLastRun} */
+    let rendered = new Map();
+    /** @type {Set<symbol>} */
+    const exiting = new Set();
+    let disposed = false;
+    if (presence) {
+      getState().node.addDispose(() => {
+        disposed = true;
+      });
+    }
 
     /**
      * @param {any} item
@@ -165,11 +199,48 @@ export function For(list, fn, options) {
     };
 
     /**
-     * @param {V & {[Symbol.iterator]: () => Iterator<V>} | Promise<any>} listValue
+     * @param {any} item
+     * @param {number} index
+     */
+    const renderItem = (item, index) => {
+      const itemIndex = Cell.source(index);
+      const parameters = [item, itemIndex, list];
+      /** @type {StateSnapshot} */
+      const snapshot = {
+        scopes: base.scopes,
+        node: base.node.branch(),
+        renderer: base.renderer,
+        data: base.data,
+      };
+      const raw = withState(snapshot, () =>
+        renderer.handleComponent(fn, parameters, snapshot)
+      );
+      // We store the unflattened version of the nodes so we can use groups
+      // as references for retrieval in the Fragment ref context.
+      const groupedNodes = Array.isArray(raw) ? raw : [raw];
+      const nodes = flattenNodes(groupedNodes, renderer);
+      trackNodes(nodes);
+      return { nodes, index: itemIndex, snapshot, groupedNodes };
+    };
+
+    /**
+     * @param {unknown} listValue The list, or a promise that resolves to it.
      */
     const reactToListChanges = (listValue) => {
-      if (listValue instanceof Promise) listValue.then(processListChanges);
-      else processListChanges(listValue);
+      if (listValue instanceof Promise) {
+        holdForTransition(listValue).then(processListChanges, handleError);
+        return;
+      }
+      try {
+        processListChanges(listValue);
+      } catch (error) {
+        handleError(error);
+      }
+    };
+
+    /** @param {unknown} error */
+    const handleError = (error) => {
+      if (!base.node.handleError(error)) throw error;
     };
 
     /**
@@ -177,8 +248,18 @@ export function For(list, fn, options) {
      * @param {boolean} [initial]
      */
     const processListChanges = (listValue, initial = false) => {
-      const newList =
+      lastListValue = listValue;
+      /** @type {Iterable<any>} */
+      let newList =
         typeof listValue?.[Symbol.iterator] === 'function' ? listValue : [];
+      let offset = 0;
+      if (listWindow) {
+        const items = Array.isArray(newList) ? newList : [...newList];
+        const { start, end } = listWindow.range.get();
+        const overscan = listWindow.overscan ?? 0;
+        offset = Math.min(Math.max(start - overscan, 0), items.length);
+        newList = items.slice(offset, Math.max(end + overscan, offset));
+      }
       /** @type {typeof cacheFromLastRun} */
       const newCache = new Map();
       const effectNodesToActivate = [];
@@ -187,31 +268,14 @@ export function For(list, fn, options) {
       /** @type {Map<unknown, { itemKey: any, lastItemLastNode: unknown | null }>} */
       const nodeLookAhead = new Map();
 
-      let index = 0;
+      let index = offset;
       let lastItemLastNode = null;
       for (const item of newList) {
         const itemKey = retrieveOrSetItemKey(item, index);
         let result = cacheFromLastRun.get(itemKey);
         if (result === undefined) {
-          const itemIndex = Cell.source(index);
-          const parameters = [item, itemIndex, list];
-          /** @type {StateSnapshot} */
-          const snapshot = {
-            scopes: base.scopes,
-            node: base.node.branch(),
-            renderer: base.renderer,
-            data: base.data,
-          };
-          const raw = withState(snapshot, () =>
-            renderer.handleComponent(fn, parameters, snapshot)
-          );
-          // We store the unflattened version of the nodes so we can use groups
-          // as references for retrieval in the Fragment ref context.
-          const groupedNodes = Array.isArray(raw) ? raw : [raw];
-          const nodes = flattenNodes(groupedNodes, renderer);
-          trackNodes(nodes);
-          result = { nodes, index: itemIndex, snapshot, groupedNodes };
-          if (!initial) effectNodesToActivate.push(snapshot.node);
+          result = renderItem(item, index);
+          if (!initial) effectNodesToActivate.push(result.snapshot.node);
         } else {
           /** @type {import('@adbl/cells').SourceCell<number>} */
           (result.index).set(index);
@@ -243,23 +307,99 @@ export function For(list, fn, options) {
           }
           fragmentCtx.correlate(group, logicalNodes, handle);
         }
-        renderer.reconcile(handle, {
-          cacheFromLastRun,
-          onBeforeNodeRemove,
-          onBeforeNodesMove,
-          retrieveOrSetItemKey,
-          newCache,
-          newList,
-          nodeLookAhead,
-        });
+        if (presence) reconcileWithExits(presence, newCache);
+        else {
+          renderer.reconcile(handle, {
+            cacheFromLastRun,
+            onBeforeNodeRemove,
+            onBeforeNodesMove,
+            retrieveOrSetItemKey: offset
+              ? (item, i) => retrieveOrSetItemKey(item, i + offset)
+              : retrieveOrSetItemKey,
+            newCache,
+            newList,
+            nodeLookAhead,
+          });
+        }
       }
 
+      if (initial) rendered = newCache;
       cacheFromLastRun = newCache;
       for (const node of effectNodesToActivate) node.activate();
     };
 
-    if (list instanceof AsyncCell) useAwait()?.waitUntil(list);
-    list.listen(reactToListChanges);
+    /**
+     * Reconciles the rendered entries with the next list, keeping the nodes of
+     * removed items in place until their exit settles.
+     *
+     * @param {PresenceContext} presence
+     * @param {typeof cacheFromLastRun} newCache
+     */
+    const reconcileWithExits = (presence, newCache) => {
+      /** @type {typeof cacheFromLastRun} */
+      const previous = new Map();
+      /** @type {symbol[]} */
+      const removedKeys = [];
+      for (const [itemKey, result] of rendered) {
+        if (exiting.has(itemKey) || newCache.has(itemKey)) {
+          previous.set(itemKey, result);
+          continue;
+        }
+        const exitKey = Symbol();
+        exiting.add(exitKey);
+        removedKeys.push(exitKey);
+        previous.set(exitKey, result);
+      }
+
+      // Exiting items stay right after the entry that preceded them.
+      const order = [...newCache.keys()];
+      let lastKept = null;
+      for (const itemKey of previous.keys()) {
+        if (exiting.has(itemKey)) {
+          const position = lastKept === null ? 0 : order.indexOf(lastKept) + 1;
+          order.splice(position, 0, itemKey);
+        } else if (!newCache.has(itemKey)) continue;
+        lastKept = itemKey;
+      }
+
+      /** @type {typeof cacheFromLastRun} */
+      const next = new Map();
+      for (const itemKey of order) {
+        const entry = newCache.get(itemKey) ?? previous.get(itemKey);
+        if (entry) next.set(itemKey, entry);
+      }
+      commitEntries(previous, next);
+
+      for (const exitKey of removedKeys) {
+        const entry = previous.get(exitKey);
+        if (!entry) continue;
+        runExit(presence, entry.nodes).then(() => {
+          exiting.delete(exitKey);
+          if (disposed) return;
+          const next = new Map(rendered);
+          next.delete(exitKey);
+          commitEntries(rendered, next);
+        });
+      }
+    };
+
+    /**
+     * @param {typeof cacheFromLastRun} previous
+     * @param {typeof cacheFromLastRun} next
+     */
+    const commitEntries = (previous, next) => {
+      reconcileEntries(renderer, handle, previous, next, {
+        onBeforeNodeRemove,
+        onBeforeNodesMove,
+      });
+      rendered = next;
+    };
+
+    if (iterable instanceof AsyncCell) useAwait()?.waitUntil(iterable);
+    source.listen(reactToListChanges);
+    listWindow?.range.listen(() => {
+      if (lastListValue !== undefined) reactToListChanges(lastListValue);
+    });
 
     const group = renderer.createGroup();
     const handle = renderer.createGroupHandle(group);
@@ -267,14 +407,35 @@ export function For(list, fn, options) {
     // component instances are created.
     const base = branchState();
     base.data = { handle };
-    const initialList = list.get();
+    const initialList = source.get();
 
     if (initialList instanceof Promise) {
-      initialList.then(reactToListChanges);
+      initialList.then(reactToListChanges, handleError);
       return group;
     }
 
     processListChanges(initialList, true);
+
+    if (streamed) {
+      const replace = isReplacingStream(iterable);
+      // In append mode, each chunk is an item that is rendered after the
+      // previous ones, without reconciling the rest of the list. A windowed
+      // list only renders a slice of the items, so it reconciles instead.
+      /** @type {any[]} */
+      const items = [];
+      const append = createAppender(renderer, group, handle, fragmentCtx);
+      const firstChunk = consumeStream(iterable, base.node, (chunk) => {
+        if (replace) return processListChanges(chunk);
+        const index = items.push(chunk) - 1;
+        if (listWindow) return processListChanges(items);
+        const result = renderItem(chunk, index);
+        cacheFromLastRun.set(retrieveOrSetItemKey(chunk, index), result);
+        lastListValue = items;
+        append(result.nodes, result.groupedNodes);
+        result.snapshot.node.activate();
+      });
+      useAwait()?.waitUntil(Cell.derivedAsync(() => firstChunk));
+    }
     return group;
   };
 }
@@ -1,11 +1,11 @@
 /** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { AsyncCell } from '@adbl/cells' */
 
-import { Cell, AsyncCell } from '@adbl/cells';
+import { Cell } from '@adbl/cells';
 
-import { useAwait } from './await.js';
-import { useFragmentCtx } from './fragment.js';
+import { adaptReactive } from './adapters.js';
+import { createReactiveBranch } from './branch.js';
 import { getActiveRenderer } from './renderer.js';
-import { branchState, withState } from './scope.js';
 
 /**
  * @template T
@@ -55,13 +55,14 @@ import { branchState, withState } from './scope.js';
 export function If(value, fnOrObject, elseFn) {
   return () => {
     const renderer = getActiveRenderer();
-    if (!Cell.isCell(value)) {
+    const condition = adaptReactive(value);
+    if (!Cell.isCell(condition)) {
       if (typeof fnOrObject === 'function') {
         if (!fnOrObject.name) {
           Object.defineProperty(fnOrObject, 'name', { value: 'If.True' });
         }
-        if (value) {
-          return renderer.handleComponent(fnOrObject, [value]);
+        if (condition) {
+          return renderer.handleComponent(fnOrObject, [condition]);
         }
         if (elseFn) {
           return renderer.handleComponent(elseFn, []);
@@ -70,11 +71,11 @@ export function If(value, fnOrObject, elseFn) {
       }
 
       if (typeof fnOrObject === 'object') {
-        if (value && 'true' in fnOrObject) {
-          return renderer.handleComponent(fnOrObject.true, [value]);
+        if (condition && 'true' in fnOrObject) {
+          return renderer.handleComponent(fnOrObject.true, [condition]);
         }
 
-        if (!value && 'false' in fnOrObject) {
+        if (!condition && 'false' in fnOrObject) {
           return renderer.handleComponent(fnOrObject.false, []);
         }
       }
@@ -85,69 +86,31 @@ export function If(value, fnOrObject, elseFn) {
       return;
     }
 
-    const stateSnapshot = branchState();
-    if (value instanceof AsyncCell) useAwait()?.waitUntil(value);
-    const fragmentCtx = useFragmentCtx();
-
     if (typeof fnOrObject === 'function' && !fnOrObject.name) {
       Object.defineProperty(fnOrObject, 'name', { value: 'If.True' });
     }
 
-    /** @param {T} _value */
-    const callback = (_value) =>
-      withState(stateSnapshot, () => {
-        let caller;
-        if (typeof fnOrObject === 'function') {
-          caller = _value ? fnOrObject : elseFn;
-          if (!caller) return [];
-        } else if (typeof fnOrObject === 'object') {
-          if (_value && 'true' in fnOrObject) caller = fnOrObject.true;
-          else if (!_value && 'false' in fnOrObject) caller = fnOrObject.false;
-          else return [];
-        } else {
-          console.error(
-            'If expects a callback or condition object as the second argument.'
-          );
-          return [];
-        }
-        const nodes = renderer.handleComponent(
-          caller,
-          _value ? [_value] : [],
-          stateSnapshot
+    return createReactiveBranch(condition, (_value, snapshot) => {
+      let caller;
+      if (typeof fnOrObject === 'function') {
+        caller = _value ? fnOrObject : elseFn;
+        if (!caller) return [];
+      } else if (typeof fnOrObject === 'object') {
+        if (_value && 'true' in fnOrObject) caller = fnOrObject.true;
+        else if (!_value && 'false' in fnOrObject) caller = fnOrObject.false;
+        else return [];
+      } else {
+        console.error(
+          'If expects a callback or condition object as the second argument.'
         );
-        return [nodes].flat();
-      });
-
-    /**
-     * @param {T} nextValue
-     */
-    const processValueChange = (nextValue) => {
-      stateSnapshot.node.dispose();
-      const nextNodes = callback(nextValue);
-      fragmentCtx?.correlate(group, nextNodes, handle);
-      renderer.write(handle, nextNodes);
-      stateSnapshot.node.activate();
-    };
-
-    // It is important that the listener is registered first.
-    value.listen((nextValue) => {
-      if (nextValue instanceof Promise) nextValue.then(processValueChange);
-      else processValueChange(nextValue);
+        return [];
+      }
+      const nodes = renderer.handleComponent(
+        caller,
+        _value ? [_value] : [],
+        snapshot
+      );
+      return [nodes].flat();
     });
-
-    const initialValue = value.get();
-    const group = renderer.createGroup();
-    const handle = renderer.createGroupHandle(group);
-    stateSnapshot.data = { handle };
-
-    if (initialValue instanceof Promise) {
-      initialValue.then(processValueChange);
-      return group;
-    }
-
-    const nodes = callback(initialValue);
-    fragmentCtx?.correlate(group, nodes, handle);
-    renderer.write(handle, nodes);
-    return group;
   };
 }
@@ -4,10 +4,32 @@ export { FragmentPlaceholder } from './fragment.js';
 export * from './for.js';
 export * from './if.js';
 export * from './switch.js';
+export * from './dynamic.js';
 export * from './scope.js';
+export { Slot, useSlot, hasSlot } from './slots.js';
+export { setErrorHandler } from './errors.js';
 export * from './renderer.js';
 export * from './utils.js';
 export * from './unique.js';
 export * from './await.js';
+export { replaceChunks } from './stream.js';
+export {
+  registerReactiveAdapter,
+  observableAdapter,
+  createSignalAdapter,
+} from './adapters.js';
+export * from './app.js';
+export * from './error-boundary.js';
+export * from './keep-alive.js';
+export * from './renderer-boundary.js';
+export * from './resource.js';
+export * from './store.js';
+export {
+  startTransition,
+  useTransition,
+  holdForTransition,
+} from './transition.js';
+export * from './virtual.js';
+export { Presence } from './presence.js';
 // Exported for convenience.
 export * from '@adbl/cells';
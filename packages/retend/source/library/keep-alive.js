@@ -0,0 +1,174 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { StateSnapshot } from './scope.js' */
+
+import { AsyncCell, Cell } from '@adbl/cells';
+
+import { useAwait } from './await.js';
+import { useFragmentCtx } from './fragment.js';
+import { getActiveRenderer } from './renderer.js';
+import { branchState, withState } from './scope.js';
+
+/**
+ * @template T
+ * @typedef KeepAliveProps
+ * @property {Cell<T> | T} value
+ * Selects the branch to show. Every distinct value gets a branch of its own.
+ * @property {(value: T) => JSX.Template} children
+ * Renders the branch for a value, the first time the value is selected.
+ * @property {number} [max]
+ * The number of hidden branches to keep. When there are more, the branch that
+ * was shown least recently is disposed. Defaults to keeping all of them.
+ */
+
+/**
+ * @typedef KeepAliveEntry
+ * @property {unknown} key
+ * @property {StateSnapshot} snapshot
+ * @property {unknown[]} nodes
+ * @property {number | null} savedId
+ */
+
+/**
+ * Renders a branch for the current value, like `Switch`, but keeps the
+ * branches of previous values alive when they are hidden.
+ *
+ * A hidden branch is detached from the tree with its nodes and cells intact,
+ * so form inputs, scroll positions and component state are all still there
+ * when its value is selected again. While it is hidden, the cleanups of its
+ * `onSetup` and `onConnected` effects are run, and both kinds of effects are
+ * run again when it is shown.
+ *
+ * @template T
+ * @param {KeepAliveProps<T>} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * const tab = Cell.source('inbox');
+ *
+ * <KeepAlive value={tab} max={3}>
+ *   {(tab) => (tab === 'inbox' ? <Inbox /> : <Settings />)}
+ * </KeepAlive>
+ * ```
+ */
+export function KeepAlive(props) {
+  const { value, children, max = Number.POSITIVE_INFINITY } = props;
+  const renderer = getActiveRenderer();
+
+  /** @param {T} key */
+  const Branch = (key) => children(key);
+  Object.defineProperty(Branch, 'name', { value: 'KeepAlive.Branch' });
+
+  const awaitCtx = useAwait();
+  const fragmentCtx = useFragmentCtx();
+  if (!Cell.isCell(value)) return renderer.handleComponent(Branch, [value]);
+
+  const base = branchState();
+  if (value instanceof AsyncCell) awaitCtx?.waitUntil(value);
+  const group = renderer.createGroup();
+  const handle = renderer.createGroupHandle(group);
+
+  /**
+   * Ordered from the least to the most recently shown.
+   * @type {Map<unknown, KeepAliveEntry>}
+   */
+  const entries = new Map();
+  /** @type {KeepAliveEntry | null} */
+  let current = null;
+
+  /** @param {unknown} error */
+  const handleError = (error) => {
+    if (!base.node.handleError(error)) throw error;
+  };
+
+  /** @param {T} key */
+  const render = (key) => {
+    /** @type {StateSnapshot} */
+    const snapshot = {
+      scopes: base.scopes,
+      node: base.node.branch(),
+      renderer: base.renderer,
+      data: { handle },
+    };
+    try {
+      const nodes = withState(snapshot, () =>
+        renderer.handleComponent(Branch, [key], snapshot)
+      );
+      return { key, snapshot, nodes: [nodes].flat(), savedId: null };
+    } catch (error) {
+      snapshot.node.dispose();
+      throw error;
+    }
+  };
+
+  const hideCurrent = () => {
+    if (!current) return;
+    current.snapshot.node.suspend();
+    current.savedId = renderer.save(handle);
+  };
+
+  const evict = () => {
+    let hidden = entries.size - 1;
+    for (const entry of entries.values()) {
+      if (hidden <= max) break;
+      if (entry === current) continue;
+      entries.delete(entry.key);
+      if (entry.savedId !== null) renderer.restore(entry.savedId, null);
+      entry.snapshot.node.dispose();
+      hidden--;
+    }
+  };
+
+  /** @param {T} key */
+  const show = (key) => {
+    if (current && Object.is(current.key, key)) return;
+    let entry = entries.get(key);
+    if (entry) {
+      entries.delete(key);
+      hideCurrent();
+      fragmentCtx?.correlate(group, entry.nodes, handle);
+      renderer.restore(/** @type {number} */ (entry.savedId), handle);
+      entry.savedId = null;
+      entry.snapshot.node.resume();
+    } else {
+      try {
+        entry = render(key);
+      } catch (error) {
+        handleError(error);
+        return;
+      }
+      hideCurrent();
+      fragmentCtx?.correlate(group, entry.nodes, handle);
+      renderer.write(handle, entry.nodes);
+      entry.snapshot.node.activate();
+    }
+    entries.set(key, entry);
+    current = entry;
+    evict();
+  };
+
+  base.node.addDispose(() => {
+    for (const entry of entries.values()) {
+      if (entry.savedId !== null) renderer.restore(entry.savedId, null);
+    }
+    entries.clear();
+    current = null;
+  });
+
+  value.listen((next) => {
+    if (next instanceof Promise) next.then(show, handleError);
+    else show(next);
+  });
+
+  const initialValue = value.get();
+  if (initialValue instanceof Promise) {
+    initialValue.then(show, handleError);
+    return group;
+  }
+  const entry = render(initialValue);
+  entries.set(initialValue, entry);
+  current = entry;
+  fragmentCtx?.correlate(group, entry.nodes, handle);
+  renderer.write(handle, entry.nodes);
+  return group;
+}
@@ -0,0 +1,180 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { SourceCell } from '@adbl/cells' */
+/** @import { ForCachedData, ReconcilerOptions, Renderer } from './renderer.js' */
+/** @import { ErrorSource } from './errors.js' */
+/** @import { Scope } from './scope.js' */
+
+import { Cell } from '@adbl/cells';
+
+import { flattenNodes, getSafeScopeContext } from '../_internals.js';
+import { getGlobalContext, runInContext } from '../context/index.js';
+import { captureErrorSource, reportError } from './errors.js';
+import { createScope, getState } from './scope.js';
+
+/**
+ * @typedef PresenceContext
+ * @property {(node: unknown) => Promise<void> | void} onExit
+ * @property {ErrorSource} source
+ */
+
+/**
+ * @typedef PresenceProps
+ * @property {(node: any) => Promise<void> | void} onExit
+ * Called for every node that is about to leave the output. The node stays
+ * mounted until the returned promise settles.
+ * @property {JSX.Children} [children]
+ */
+
+/** @type {Scope<PresenceContext>} */
+const PresenceScope = createScope('retend:Presence');
+
+/**
+ * Keeps outgoing nodes mounted until their exit animations complete.
+ *
+ * Within a `Presence`, the reactive forms of `If`, `Switch` and `For` render
+ * incoming nodes immediately, but hold on to the nodes they replace or remove
+ * and call `onExit` for each of them. The nodes are removed once the promise
+ * returned by `onExit` settles. The outgoing branch's effects are still
+ * disposed immediately, so its content is frozen while it exits.
+ *
+ * A nested `Presence` takes over for the control flow within it.
+ *
+ * @param {PresenceProps} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * const fadeOut = (node) => {
+ *   if (!(node instanceof HTMLElement)) return;
+ *   return node.animate({ opacity: [1, 0] }, 200).finished;
+ * };
+ *
+ * <Presence onExit={fadeOut}>
+ *   {If(isOpen, () => <Dialog />)}
+ * </Presence>
+ * ```
+ */
+export function Presence(props) {
+  const { onExit, children } = props;
+  const source = captureErrorSource(getState().node.id);
+  return PresenceScope.Provider({ value: { onExit, source }, children });
+}
+
+/**
+ * Retrieves the nearest presence context.
+ *
+ * @internal
+ * @returns {PresenceContext | null}
+ */
+export function usePresence() {
+  return getSafeScopeContext(PresenceScope);
+}
+
+/**
+ * Runs the exit callback for each of the given nodes.
+ *
+ * @param {PresenceContext} presence
+ * @param {unknown[]} nodes
+ * @returns {Promise<void>} A promise that resolves once every exit settles.
+ */
+export async function runExit(presence, nodes) {
+  const context = getGlobalContext();
+  const exits = nodes.map(async (node) => presence.onExit(node));
+  const results = await Promise.allSettled(exits);
+  runInContext(context, () => {
+    for (const result of results) {
+      if (result.status !== 'rejected') continue;
+      reportError(result.reason, { ...presence.source, phase: 'exit' });
+    }
+  });
+}
+
+/**
+ * Reconciles the keyed entries of a handle, moving and removing only what
+ * changed, so that nodes which stay in place (such as exiting nodes) are left
+ * untouched.
+ *
+ * @param {Renderer<any>} renderer
+ * @param {any} handle
+ * @param {Map<any, ForCachedData<any>>} previous
+ * @param {Map<any, ForCachedData<any>>} next
+ * @param {Pick<ReconcilerOptions<any>, 'onBeforeNodeRemove' | 'onBeforeNodesMove'>} [hooks]
+ */
+export function reconcileEntries(renderer, handle, previous, next, hooks) {
+  /** @type {ReconcilerOptions<any>['nodeLookAhead']} */
+  const nodeLookAhead = new Map();
+  let lastItemLastNode = null;
+  for (const [itemKey, { nodes }] of next) {
+    if (nodes[0]) nodeLookAhead.set(nodes[0], { itemKey, lastItemLastNode });
+    lastItemLastNode = nodes[nodes.length - 1];
+  }
+  renderer.reconcile(handle, {
+    ...hooks,
+    cacheFromLastRun: previous,
+    newCache: next,
+    newList: next.keys(),
+    retrieveOrSetItemKey: (itemKey) => itemKey,
+    nodeLookAhead,
+  });
+}
+
+/**
+ * Creates a function that writes content to a handle, keeping the content it
+ * replaces mounted (ahead of the new content) until its exit settles.
+ *
+ * @param {Renderer<any>} renderer
+ * @param {PresenceContext} presence
+ * @returns {(handle: any, nodes: unknown[]) => void}
+ */
+export function createPresenceWriter(renderer, presence) {
+  const snapshot = getState();
+  let disposed = false;
+  snapshot.node.addDispose(() => {
+    disposed = true;
+  });
+  // Entries carry their position and branch, like the entries of a list.
+  /** @type {Map<object, ForCachedData<unknown> & { index: SourceCell<number> }>} */
+  let entries = new Map();
+  /** @type {object | null} */
+  let currentKey = null;
+
+  /**
+   * @param {any} handle
+   * @param {typeof entries} next
+   */
+  const commit = (handle, next) => {
+    let index = 0;
+    for (const entry of next.values()) entry.index.set(index++);
+    reconcileEntries(renderer, handle, entries, next);
+    entries = next;
+  };
+
+  return (handle, nodes) => {
+    const previousKey = currentKey;
+    currentKey = {};
+    const current = {
+      nodes: flattenNodes(nodes, renderer),
+      index: Cell.source(0),
+      snapshot,
+    };
+    if (previousKey === null) {
+      renderer.write(handle, nodes);
+      entries.set(currentKey, current);
+      return;
+    }
+
+    const next = new Map(entries);
+    const previous = next.get(previousKey);
+    if (!previous?.nodes.length) next.delete(previousKey);
+    next.set(currentKey, current);
+    commit(handle, next);
+    if (!previous?.nodes.length) return;
+
+    runExit(presence, previous.nodes).then(() => {
+      if (disposed) return;
+      const next = new Map(entries);
+      next.delete(previousKey);
+      commit(handle, next);
+    });
+  };
+}
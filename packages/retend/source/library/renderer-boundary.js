@@ -0,0 +1,79 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { Renderer } from './renderer.js' */
+
+import { getActiveRenderer } from './renderer.js';
+import { branchState, getState, withState } from './scope.js';
+import { normalizeJsxChild } from './utils.js';
+
+/**
+ * Connects the output of a renderer to the tree of the renderer around it.
+ *
+ * @template [Output=any]
+ * @typedef RendererMount
+ * @property {(output: Output, parent: Renderer<any>) => JSX.Template} mount
+ * Receives the rendered subtree, and returns what to render in its place in
+ * the parent tree, such as a host element the output is drawn into.
+ * @property {(output: Output) => void} [unmount]
+ * Called with the rendered subtree when the boundary is disposed.
+ */
+
+/**
+ * @typedef RendererBoundaryProps
+ * @property {Renderer<any>} renderer
+ * The renderer to render the children with.
+ * @property {RendererMount} mount
+ * Connects the rendered children to the parent tree.
+ * @property {JSX.Children} [children]
+ */
+
+/**
+ * Renders its children with a different renderer than the rest of the tree,
+ * such as a canvas-backed chart or a terminal preview within a DOM page.
+ *
+ * The renderer stays active for everything rendered in the subtree, including
+ * the re-renders of its `If`, `Switch` and `For` blocks, while the parent
+ * renderer is restored outside it. Scopes provided above the boundary are
+ * available within it, and its effects belong to the parent's lifecycle.
+ *
+ * @param {RendererBoundaryProps} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```tsx
+ * const canvasMount = {
+ *   mount(scene) {
+ *     const canvas = document.createElement('canvas');
+ *     scene.attach(canvas);
+ *     return canvas;
+ *   },
+ *   unmount: (scene) => scene.detach(),
+ * };
+ *
+ * <RendererBoundary renderer={new CanvasRenderer()} mount={canvasMount}>
+ *   <Chart data={data} />
+ * </RendererBoundary>
+ * ```
+ */
+export function RendererBoundary(props) {
+  const { renderer, mount, children } = props;
+  const parent = getActiveRenderer();
+  // Nodes take the renderer that is active when they are created, so the
+  // branch is created with the boundary's renderer already in place.
+  const snapshot = withState({ ...getState(), renderer }, () => branchState());
+
+  const BoundaryContent = () => children;
+  Object.defineProperty(BoundaryContent, 'name', {
+    value: 'RendererBoundary.Content',
+  });
+
+  const output = withState(snapshot, () =>
+    normalizeJsxChild(
+      renderer.handleComponent(BoundaryContent, [], snapshot),
+      renderer
+    )
+  );
+  if (mount.unmount) {
+    snapshot.node.addDispose(() => mount.unmount?.(output));
+  }
+  return mount.mount(output, parent);
+}
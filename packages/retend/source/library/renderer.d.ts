@@ -109,6 +109,13 @@ export interface Renderer<
   append(parent: Node, children: Node | Node[]): Node;
   /** Checks if a node is "active". Activity of a node is renderer-defined. */
   isActive(node: Node): boolean;
+  /**
+   * Compares the positions of two nodes in the output. Returns a negative
+   * number if `a` comes first, a positive number if `b` does, and `0` if
+   * they are not in the same tree. Without it, `AwaitGroup` orders its
+   * boundaries by when they were rendered.
+   */
+  comparePosition?(a: Node, b: Node): number;
   /** Creates a stable reference (handle) to a group of nodes, enabling subsequent incremental updates. */
   createGroupHandle(group: Group): Handle;
   /** Synchronously replaces the current nodes associated with a handle with new content. */
@@ -0,0 +1,326 @@
+/** @import { SourceCell } from '@adbl/cells' */
+
+import { Cell } from '@adbl/cells';
+
+import { getGlobalContext } from '../context/index.js';
+import { useAwait } from './await.js';
+import { getState } from './scope.js';
+
+const ResourceCacheKey = Symbol('retend:ResourceCache');
+
+/**
+ * A key identifying a resource in the cache. Array keys can be invalidated
+ * by any of their leading segments.
+ *
+ * @typedef {string | number | readonly unknown[]} ResourceKey
+ */
+
+/**
+ * @template [T=unknown]
+ * @typedef ResourceEntry
+ * @property {readonly unknown[]} segments
+ * @property {T | undefined} data
+ * @property {boolean} hasData
+ * @property {unknown} error
+ * @property {number} updatedAt
+ * @property {number} version
+ * Incremented by every `mutate`, so that a request started before a mutation
+ * does not overwrite it.
+ * @property {boolean} invalidated
+ * @property {Promise<void> | null} promise
+ * @property {AbortController | null} controller
+ * @property {Set<() => void>} listeners
+ */
+
+/**
+ * @template K
+ * @template T
+ * @typedef {(key: K, context: { signal: AbortSignal }) => Promise<T> | T} ResourceFetcher
+ */
+
+/**
+ * @template T
+ * @typedef ResourceOptions
+ * @property {number} [staleTime]
+ * How long, in milliseconds, fetched data is considered fresh. Fresh data is
+ * served from the cache without a request. Stale data is served immediately
+ * and refetched in the background. Defaults to `0`.
+ * @property {T} [initialData]
+ * Data to show for a key that has not been fetched yet. It is refetched like
+ * stale data.
+ */
+
+/**
+ * @template T
+ * @typedef Resource
+ * @property {Cell<T | undefined>} data
+ * The latest data for the current key, or `undefined` if none has loaded.
+ * @property {Cell<boolean>} loading
+ * Whether a request for the current key is in flight.
+ * @property {Cell<unknown>} error
+ * The error from the last request for the current key, or `null`.
+ * @property {() => Promise<void>} refetch
+ * Fetches the current key again, joining any request already in flight.
+ * @property {(value: T | ((current: T | undefined) => T)) => void} mutate
+ * Replaces the cached data for the current key, updating every resource that
+ * shares it without making a request. A request already in flight for the key
+ * does not overwrite the mutated data when it resolves.
+ */
+
+/** @returns {Map<string, ResourceEntry<any>>} */
+function getResourceCache() {
+  const { globalData } = getGlobalContext();
+  let cache = globalData.get(ResourceCacheKey);
+  if (!cache) {
+    cache = new Map();
+    globalData.set(ResourceCacheKey, cache);
+  }
+  return cache;
+}
+
+/**
+ * @param {ResourceKey} key
+ * @returns {readonly unknown[]}
+ */
+function toSegments(key) {
+  return Array.isArray(key) ? key : [key];
+}
+
+/**
+ * @param {ResourceKey} key
+ * @returns {ResourceEntry<any>}
+ */
+function getResourceEntry(key) {
+  const cache = getResourceCache();
+  const segments = toSegments(key);
+  const id = JSON.stringify(segments);
+  let entry = cache.get(id);
+  if (!entry) {
+    entry = {
+      segments,
+      data: undefined,
+      hasData: false,
+      error: null,
+      updatedAt: 0,
+      version: 0,
+      invalidated: false,
+      promise: null,
+      controller: null,
+      listeners: new Set(),
+    };
+    cache.set(id, entry);
+  }
+  return entry;
+}
+
+/** @param {ResourceEntry<any>} entry */
+function notify(entry) {
+  for (const listener of entry.listeners) listener();
+}
+
+/**
+ * Starts a request for an entry, aborting any request it replaces.
+ *
+ * @template T
+ * @param {ResourceEntry<T>} entry
+ * @param {ResourceFetcher<any, T>} fetcher
+ * @param {any} key
+ * @returns {Promise<void>} A promise that settles, without rejecting, when the
+ * request completes.
+ */
+function startRequest(entry, fetcher, key) {
+  entry.controller?.abort();
+  const controller = new AbortController();
+  const { signal } = controller;
+  const { version } = entry;
+  /** @type {Promise<void>} */
+  const promise = (async () => fetcher(key, { signal }))().then(
+    (data) => {
+      if (entry.promise !== promise || entry.version !== version) return;
+      entry.data = data;
+      entry.hasData = true;
+      entry.error = null;
+      entry.updatedAt = Date.now();
+    },
+    (error) => {
+      if (entry.promise !== promise) return;
+      entry.error = error;
+    }
+  );
+  promise.finally(() => {
+    if (entry.promise !== promise) return;
+    entry.promise = null;
+    entry.controller = null;
+    notify(entry);
+  });
+  entry.controller = controller;
+  entry.promise = promise;
+  notify(entry);
+  return promise;
+}
+
+/**
+ * Creates a cached, deduplicated async resource that follows a key.
+ *
+ * Resources that share a key share one cache entry in the global context, so
+ * only one request is made for them at a time. When the key changes, the data
+ * cached for the new key is shown immediately and refetched in the background
+ * once it is older than `staleTime`.
+ *
+ * Created within an `Await`, the first request holds back the boundary until
+ * it settles. Failed requests are reported through the `error` cell rather
+ * than thrown.
+ *
+ * @template {ResourceKey} K
+ * @template T
+ * @param {Cell<K> | K} key
+ * @param {ResourceFetcher<K, T>} fetcher
+ * Loads the data for a key. The signal is aborted when the request is
+ * replaced, such as after its key is invalidated.
+ * @param {ResourceOptions<T>} [options]
+ * @returns {Resource<T>}
+ *
+ * @example
+ * ```jsx
+ * function UserProfile(props) {
+ *   const user = createResource(
+ *     Cell.derived(() => ['users', props.id.get()]),
+ *     async ([, id], { signal }) => {
+ *       const response = await fetch(`/api/users/${id}`, { signal });
+ *       return response.json();
+ *     },
+ *     { staleTime: 30_000 }
+ *   );
+ *   const name = Cell.derived(() => user.data.get()?.name);
+ *
+ *   return (
+ *     <div>
+ *       <h1>{name}</h1>
+ *       <button type="button" onClick={user.refetch}>Refresh</button>
+ *     </div>
+ *   );
+ * }
+ *
+ * // Later, after the user is edited:
+ * invalidateResources(['users']);
+ * ```
+ */
+export function createResource(key, fetcher, options = {}) {
+  const { staleTime = 0, initialData } = options;
+  const keyCell = Cell.isCell(key) ? key : Cell.source(key);
+  /** @type {SourceCell<T | undefined>} */
+  const data = Cell.source(undefined);
+  const loading = Cell.source(false);
+  /** @type {SourceCell<unknown>} */
+  const error = Cell.source(null);
+  /** @type {SourceCell<Promise<void>>} */
+  const request = Cell.source(Promise.resolve());
+  const settled = Cell.derivedAsync(async (get) => {
+    await get(request);
+  });
+  /** @type {ResourceEntry<T> | null} */
+  let entry = null;
+
+  const sync = () => {
+    if (!entry) return;
+    if (entry.invalidated) {
+      entry.invalidated = false;
+      refresh(entry, keyCell.get());
+      return;
+    }
+    const { data: value, error: reason, promise } = entry;
+    Cell.batch(() => {
+      data.set(value);
+      error.set(reason);
+      loading.set(promise !== null);
+    });
+  };
+
+  /**
+   * @param {ResourceEntry<T>} entry
+   * @param {K} key
+   */
+  const refresh = (entry, key) => {
+    if (entry.promise) return entry.promise;
+    return startRequest(entry, fetcher, key);
+  };
+
+  /** @param {K} nextKey */
+  const follow = (nextKey) => {
+    entry?.listeners.delete(sync);
+    entry = getResourceEntry(nextKey);
+    entry.listeners.add(sync);
+    if (!entry.hasData && initialData !== undefined) {
+      entry.data = initialData;
+      entry.hasData = true;
+    }
+    const isStale =
+      !entry.updatedAt || Date.now() - entry.updatedAt >= staleTime;
+    if (isStale) refresh(entry, nextKey);
+    sync();
+    request.set(entry.promise ?? Promise.resolve());
+  };
+
+  keyCell.listen(follow);
+  follow(keyCell.get());
+  getState().node.addDispose(() => {
+    keyCell.ignore(follow);
+    entry?.listeners.delete(sync);
+  });
+  useAwait()?.waitUntil(settled);
+
+  return {
+    data,
+    loading,
+    error,
+    refetch() {
+      if (!entry) return Promise.resolve();
+      return refresh(entry, keyCell.get());
+    },
+    mutate(value) {
+      if (!entry) return;
+      entry.data =
+        typeof value === 'function'
+          ? /** @type {(current: T | undefined) => T} */ (value)(entry.data)
+          : value;
+      entry.hasData = true;
+      entry.updatedAt = Date.now();
+      entry.version++;
+      notify(entry);
+    },
+  };
+}
+
+/**
+ * Marks every cached resource whose key starts with the given segments as
+ * stale. Resources currently following one of those keys refetch immediately,
+ * aborting any request in flight; the rest refetch when next used.
+ *
+ * A string or number prefix matches keys whose first segment equals it.
+ *
+ * @param {ResourceKey} prefix
+ *
+ * @example
+ * ```js
+ * invalidateResources(['users']); // ['users'], ['users', 1], ...
+ * invalidateResources(['users', 1]); // ['users', 1], ['users', 1, 'posts'], ...
+ * ```
+ */
+export function invalidateResources(prefix) {
+  const segments = toSegments(prefix);
+  for (const entry of getResourceCache().values()) {
+    const matches = segments.every(
+      (segment, i) =>
+        i < entry.segments.length &&
+        JSON.stringify(segment) === JSON.stringify(entry.segments[i])
+    );
+    if (!matches) continue;
+    entry.updatedAt = 0;
+    if (!entry.listeners.size) continue;
+    entry.controller?.abort();
+    entry.controller = null;
+    entry.promise = null;
+    entry.invalidated = true;
+    notify(entry);
+  }
+}
@@ -1,9 +1,12 @@
 /** @import { JSX } from '../jsx-runtime/types.ts' */
 
 /** @import { Renderer } from './renderer.js'; */
+/** @import { Environments } from '../context/index.js'; */
+/** @import { ErrorSource } from './errors.js'; */
 import { Cell } from '@adbl/cells';
 
-import { getGlobalContext } from '../context/index.js';
+import { getGlobalContext, runInContext } from '../context/index.js';
+import { captureErrorSource, reportError } from './errors.js';
 import { getActiveRenderer, setActiveRenderer } from './renderer.js';
 import { createNodesFromTemplate, normalizeJsxChild } from './utils.js';
 
@@ -53,6 +56,7 @@ import { createNodesFromTemplate, normalizeJsxChild } from './utils.js';
  */
 
 /** @typedef {'normal' | 'deferred' | 'retained'} LifecycleMode */
+/** @typedef {[number, number, number, number]} EffectMark */
 
 const EffectPhase = Object.freeze({
   Blocked: 0,
@@ -66,20 +70,26 @@ const EffectPhase = Object.freeze({
 /** @typedef {void | CleanupFn | Promise<void | CleanupFn>} EffectResult */
 /** @template T @typedef {(node: T) => EffectResult} MountFn */
 /** @typedef {() => EffectResult} SetupFn */
+/** @template F @typedef {{ effect: F, source: ErrorSource }} TracedFn */
 /** @typedef {{
  *   ref: Cell<unknown | null>,
  *   callback: MountFn<unknown>,
  *   renderer: Renderer<any>,
+ *   context: Environments,
+ *   source: ErrorSource,
  *   current?: unknown | null,
  *   result?: EffectResult,
  * }} ConnectedEffect */
 
-/** @param {CleanupFn | undefined} cleanup */
-function runCleanup(cleanup) {
+/**
+ * @param {CleanupFn | undefined} cleanup
+ * @param {ErrorSource} source
+ */
+function runCleanup(cleanup, source) {
   try {
     cleanup?.();
   } catch (error) {
-    console.error('Cleanup effect failed:', error);
+    reportError(error, { ...source, phase: 'cleanup' });
   }
 }
 
@@ -88,7 +98,9 @@ function unmountConnectedEffect(effect) {
   const cleanup = effect.result;
   effect.current = null;
   effect.result = undefined;
-  if (typeof cleanup === 'function') runCleanup(cleanup);
+  if (typeof cleanup === 'function') {
+    runInContext(effect.context, () => runCleanup(cleanup, effect.source));
+  }
 }
 
 /**
@@ -111,7 +123,7 @@ function updateConnectedEffect(effect, next) {
 
   effect.current = next;
   try {
-    const result = effect.callback(next);
+    const result = runInContext(effect.context, () => effect.callback(next));
     effect.result = result;
     if (!(result instanceof Promise)) return;
 
@@ -124,13 +136,15 @@ function updateConnectedEffect(effect, next) {
         ) {
           effect.result = cleanup;
         } else if (cleanup) {
-          runCleanup(cleanup);
+          runInContext(effect.context, () =>
+            runCleanup(cleanup, effect.source)
+          );
         }
       },
-      (error) => console.error('Error mounting node:', error)
+      (error) => reportError(error, { ...effect.source, phase: 'connected' })
     );
   } catch (error) {
-    console.error('Error mounting node:', error);
+    reportError(error, { ...effect.source, phase: 'connected' });
   }
 }
 
@@ -141,21 +155,39 @@ function updateConnectedEffect(effect, next) {
 class EffectNode {
   #id = '0';
 
-  /** @type {Array<SetupFn>} */
+  /** @type {Array<TracedFn<SetupFn>>} */
   #setupFns = [];
-  /** @type {Array<() => (Promise<void> | void)>} */
+  /** @type {Array<TracedFn<() => (Promise<void> | void)>>} */
   #disposeFns = [];
+  /**
+   * Cleanups returned by setup effects, which are also run on suspension.
+   * @type {Array<TracedFn<CleanupFn>>}
+   */
+  #cleanupFns = [];
   /** @type {Array<EffectNode>} */
   #children = [];
   /** @type {ConnectedEffect[]} */
   #connectedEffects = [];
+  /** @type {EffectNode | null} */
+  #parent = null;
 
   /** @type {EffectPhaseValue} */
   #phase;
   #retained;
+  /**
+   * Receives errors raised within this node's subtree. Inherited by branches,
+   * and set by error boundaries to claim the errors of their content.
+   * @type {((error: unknown) => void) | null}
+   */
+  onError = null;
   localContext = Cell.context();
   /** @type {Renderer<any>} | undefined */
   renderer = getActiveRenderer();
+  /**
+   * The context the node was created in, which its effects run within.
+   * @type {Environments}
+   */
+  context = getGlobalContext();
 
   /** @param {LifecycleMode} [lifecycle] */
   constructor(lifecycle = 'normal') {
@@ -192,15 +224,26 @@ class EffectNode {
     );
   }
 
+  /**
+   * Forwards an error to the handler owning this node, if any.
+   * @param {unknown} error
+   * @returns {boolean} Whether the error was handled.
+   */
+  handleError(error) {
+    if (!this.onError) return false;
+    this.onError(error);
+    return true;
+  }
+
   /** @param {SetupFn} effect  */
   add(effect) {
     if (!this.renderer?.capabilities.supportsSetupEffects) return;
-    this.#setupFns.push(effect);
+    this.#setupFns.push({ effect, source: captureErrorSource(this.#id) });
   }
 
   /** @param {() => void} effect */
   addDispose(effect) {
-    this.#disposeFns.push(effect);
+    this.#disposeFns.push({ effect, source: captureErrorSource(this.#id) });
   }
 
   /** @template T @param {Cell<T | null>} ref @param {MountFn<T>} callback */
@@ -213,6 +256,8 @@ class EffectNode {
       ref,
       callback: /** @type {MountFn<unknown>} */ (callback),
       renderer,
+      context: this.context,
+      source: captureErrorSource(this.#id),
     };
     this.#connectedEffects.push(effect);
     ref.listen((next) => {
@@ -245,21 +290,69 @@ class EffectNode {
       newNode.#phase = EffectPhase.Eligible;
     }
     newNode.#id = `${this.#id}.${this.#children.length}`;
+    newNode.#parent = this;
+    newNode.onError = this.onError;
     this.#children.push(newNode);
     return newNode;
   }
 
+  /**
+   * Records how many effects and branches the node holds, so that the ones
+   * added after it can be moved with `transfer`.
+   * @returns {EffectMark}
+   */
+  mark() {
+    return [
+      this.#setupFns.length,
+      this.#disposeFns.length,
+      this.#connectedEffects.length,
+      this.#children.length,
+    ];
+  }
+
+  /**
+   * Moves the effects and branches added since a mark into one of those
+   * branches, ahead of its own, as if they had been added to it. Does nothing
+   * if the target was not branched from this node since the mark.
+   * @param {EffectMark} mark
+   * @param {EffectNode} target
+   */
+  transfer(mark, target) {
+    const [setup, dispose, connected, children] = mark;
+    if (!this.#children.includes(target, children)) return;
+    target.#setupFns.unshift(...this.#setupFns.splice(setup));
+    target.#disposeFns.unshift(...this.#disposeFns.splice(dispose));
+    target.#connectedEffects.unshift(
+      ...this.#connectedEffects.splice(connected)
+    );
+    const moved = this.#children.splice(children);
+    if (moved.includes(target)) this.#children.push(target);
+    const adopted = moved.filter((child) => child !== target);
+    for (const child of adopted) child.#parent = target;
+    target.#children.unshift(...adopted);
+  }
+
   async #runSetupFns() {
     if (this.#phase !== EffectPhase.Eligible) return;
-    for (const effect of this.#setupFns) {
+    const errors = [];
+    for (const { effect, source } of this.#setupFns) {
       try {
-        const cleanup = await effect();
-        if (typeof cleanup === 'function') this.#disposeFns.push(cleanup);
+        const cleanup = await runInContext(this.context, effect);
+        if (typeof cleanup === 'function') {
+          this.#cleanupFns.push({ effect: cleanup, source });
+        }
       } catch (error) {
-        console.error(error);
+        errors.push({ error, source });
       }
     }
     this.#phase = EffectPhase.Active;
+    // Errors are reported once the node is active, so that a handler
+    // disposing it leaves it ready to be set up again.
+    for (const { error, source } of errors) {
+      if (!this.handleError(error)) {
+        reportError(error, { ...source, phase: 'setup' });
+      }
+    }
     await Promise.all(
       this.#children
         .filter((child) => child.#phase === EffectPhase.Eligible)
@@ -285,7 +378,14 @@ class EffectNode {
   /** @param {boolean} cascading */
   #runDisposeFns(cascading) {
     if (cascading && this.#retained) return;
-    for (const effect of this.#disposeFns) runCleanup(effect);
+    runInContext(this.context, () => {
+      for (const { effect, source } of this.#disposeFns) {
+        runCleanup(effect, source);
+      }
+      for (const { effect, source } of this.#cleanupFns.splice(0)) {
+        runCleanup(effect, source);
+      }
+    });
     if (cascading) this.#phase = EffectPhase.Orphaned;
     else if (this.#phase === EffectPhase.Active) {
       this.#phase = EffectPhase.Eligible;
@@ -304,12 +404,53 @@ class EffectNode {
     for (const child of this.#children) child.#runConnectedDisposeFns(true);
   }
 
+  #suspendSubtree() {
+    if (this.#phase === EffectPhase.Orphaned) return;
+    for (const effect of this.#connectedEffects) {
+      unmountConnectedEffect(effect);
+      // Ignores changes to the ref until the node is resumed.
+      effect.current = undefined;
+    }
+    runInContext(this.context, () => {
+      for (const { effect, source } of this.#cleanupFns.splice(0)) {
+        runCleanup(effect, source);
+      }
+    });
+    if (this.#phase === EffectPhase.Active) this.#phase = EffectPhase.Eligible;
+    for (const child of this.#children) child.#suspendSubtree();
+  }
+
+  /**
+   * Tears down the setup effects and connected callbacks of this subtree,
+   * without disposing its listeners or cells, and holds it back from
+   * activation until `resume` is called.
+   */
+  suspend() {
+    if (this.#phase === EffectPhase.Orphaned) return;
+    this.#suspendSubtree();
+    this.#phase = EffectPhase.Deferred;
+  }
+
+  /**
+   * Reverses `suspend`, running the setup effects and connected callbacks of
+   * the subtree again once its parent is active.
+   */
+  async resume() {
+    if (this.#phase !== EffectPhase.Deferred) return;
+    this.#phase = EffectPhase.Blocked;
+    const parent = this.#parent;
+    if (!parent || !parent.#canActivate()) return;
+    this.#enableSubtree();
+    await this.activate();
+  }
+
   dispose() {
     this.#runDisposeFns(false);
     this.#runConnectedDisposeFns(false);
 
     this.#setupFns.length = 0;
     this.#disposeFns.length = 0;
+    this.#cleanupFns.length = 0;
     this.#children.length = 0;
     this.localContext = Cell.context();
   }
@@ -555,21 +696,24 @@ function setState(snapshot) {
  * ```
  */
 export function withState(snapshot, callback) {
-  /** @type {StateSnapshot | null} */
-  let previousSnapshot = null;
-  const previousRenderer = getActiveRenderer();
+  // The branch may belong to an app other than the one that is active.
+  return runInContext(snapshot.node.context, () => {
+    /** @type {StateSnapshot | null} */
+    let previousSnapshot = null;
+    const previousRenderer = getActiveRenderer();
 
-  try {
-    previousSnapshot = getState();
-    setState(snapshot);
-    if (snapshot.renderer) {
-      setActiveRenderer(snapshot.renderer);
+    try {
+      previousSnapshot = getState();
+      setState(snapshot);
+      if (snapshot.renderer) {
+        setActiveRenderer(snapshot.renderer);
+      }
+      return Cell.runWithContext(snapshot.node.localContext, callback);
+    } finally {
+      setActiveRenderer(previousRenderer);
+      if (previousSnapshot) setState(previousSnapshot);
     }
-    return Cell.runWithContext(snapshot.node.localContext, callback);
-  } finally {
-    setActiveRenderer(previousRenderer);
-    if (previousSnapshot) setState(previousSnapshot);
-  }
+  });
 }
 
 /**
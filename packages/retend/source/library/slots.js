@@ -0,0 +1,176 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { Scope } from './scope.js' */
+
+import { Block } from './block.js';
+import { createScope, getState } from './scope.js';
+
+/**
+ * @typedef SlotProps
+ * @property {string} name
+ * The name of the slot the children fill.
+ * @property {JSX.Children} [children]
+ */
+
+/**
+ * The children of a component, and the slots they fill once they have been
+ * looked at.
+ *
+ * @typedef SlotOwner
+ * @property {unknown} children
+ * @property {Map<string, unknown[]> | null} slots
+ */
+
+/**
+ * Provides the slot owner of each component to what it renders. Being a
+ * scope, it is kept by the branches created within the component, so the
+ * slots can still be read when they re-render.
+ *
+ * @type {Scope<SlotOwner>}
+ */
+const SlotOwnerScope = createScope('SlotOwner');
+
+/**
+ * Marks children as the content of a named slot of the component they are
+ * passed to. The component renders them where it places the slot with
+ * `useSlot`. Children outside of a `Slot` fill the `default` slot.
+ *
+ * @param {SlotProps} props
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * <Card>
+ *   <Slot name="header">
+ *     <h2>Settings</h2>
+ *   </Slot>
+ *   <SettingsForm />
+ *   <Slot name="footer">
+ *     <SaveButton />
+ *   </Slot>
+ * </Card>
+ * ```
+ */
+export function Slot(props) {
+  // Rendered as is by components that do not read their slots.
+  return props.children;
+}
+
+/**
+ * Returns the content of a slot of the rendering component, to render in its
+ * output. The content is only rendered where the returned template is used.
+ *
+ * @param {string} [name]
+ * The name of the slot. Defaults to `default`, the children that are not in
+ * a `Slot`.
+ * @param {JSX.Template} [fallback]
+ * Rendered in place of the slot if it is not filled.
+ * @returns {JSX.Template}
+ *
+ * @example
+ * ```jsx
+ * function Card() {
+ *   const header = useSlot('header', <h2>Untitled</h2>);
+ *   const body = useSlot();
+ *   const footer = useSlot('footer');
+ *
+ *   return (
+ *     <section class="card">
+ *       <header>{header}</header>
+ *       {body}
+ *       {hasSlot('footer') ? <footer>{footer}</footer> : null}
+ *     </section>
+ *   );
+ * }
+ * ```
+ */
+export function useSlot(name = 'default', fallback) {
+  const content = getSlots().get(name);
+  const SlotContent = () => content ?? fallback;
+  Object.defineProperty(SlotContent, 'name', { value: `Slot.${name}` });
+  return new Block(SlotContent, undefined, undefined);
+}
+
+/**
+ * Checks whether a slot of the rendering component is filled.
+ *
+ * @param {string} [name]
+ * The name of the slot. Defaults to `default`.
+ * @returns {boolean}
+ */
+export function hasSlot(name = 'default') {
+  return getSlots().has(name);
+}
+
+/**
+ * Runs a callback with the children of the component it renders, so that the
+ * component can read its slots.
+ *
+ * @template T
+ * @param {unknown} children
+ * @param {() => T} callback
+ * @returns {T}
+ * @internal
+ */
+export function withSlotOwner(children, callback) {
+  const snapshot = getState();
+  const previousScopes = snapshot.scopes;
+  snapshot.scopes = {
+    scope: SlotOwnerScope,
+    value: { children, slots: null },
+    parent: previousScopes,
+  };
+  try {
+    return callback();
+  } finally {
+    snapshot.scopes = previousScopes;
+  }
+}
+
+/** @returns {Map<string, unknown[]>} */
+function getSlots() {
+  let link = getState().scopes;
+  while (link && link.scope !== SlotOwnerScope) link = link.parent;
+  if (!link) return new Map();
+  /** @type {SlotOwner} */
+  const owner = link.value;
+  owner.slots ??= collectSlots(owner.children);
+  return owner.slots;
+}
+
+/**
+ * Sorts children into the slots they fill, in order.
+ *
+ * @param {unknown} children
+ * @returns {Map<string, unknown[]>}
+ */
+function collectSlots(children) {
+  /** @type {Map<string, unknown[]>} */
+  const slots = new Map();
+  /** @param {string} name @param {unknown} content */
+  const fill = (name, content) => {
+    const existing = slots.get(name);
+    if (existing) existing.push(content);
+    else slots.set(name, [content]);
+  };
+
+  const stack = [children];
+  while (stack.length > 0) {
+    const child = stack.pop();
+    if (Array.isArray(child)) {
+      for (let i = child.length - 1; i >= 0; i -= 1) stack.push(child[i]);
+      continue;
+    }
+    if (child === null || child === undefined || child === false) continue;
+    if (child instanceof Block && child.tagOrFn === Slot) {
+      fill(child.props.name, child.props.children);
+      continue;
+    }
+    // Slots can be grouped in fragments, such as when they are conditional.
+    if (child instanceof Block && child.kind === 2 && !child.props?.ref) {
+      stack.push(child.props?.children);
+      continue;
+    }
+    fill('default', child);
+  }
+  return slots;
+}
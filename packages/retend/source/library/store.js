@@ -0,0 +1,267 @@
+/** @import { SourceCell } from '@adbl/cells' */
+
+import { Cell } from '@adbl/cells';
+
+const RawKey = Symbol('retend:StoreRaw');
+const IterateKey = Symbol('retend:StoreIterate');
+
+/** @type {WeakMap<object, Map<PropertyKey, SourceCell<number>>>} */
+const trackers = new WeakMap();
+/** @type {WeakMap<object, object>} */
+const readProxies = new WeakMap();
+/** @type {WeakMap<object, object>} */
+const draftProxies = new WeakMap();
+
+/**
+ * @template T
+ * @typedef {{
+ *   (path: readonly PropertyKey[], value: unknown): void;
+ *   (recipe: (draft: T) => void): void;
+ * }} SetStore
+ */
+
+/**
+ * Creates a deeply reactive store for a nested object.
+ *
+ * Reading a property of the store within a derived cell tracks that one
+ * property, so the cell only recomputes when that path changes. Objects and
+ * arrays within the store are returned as read-only proxies with the same
+ * identity on every read, which makes them suitable items for a keyed `For`.
+ *
+ * The store is updated with `setStore`, either by path, or with a recipe that
+ * mutates a draft of the store in place.
+ *
+ * @template {object} T
+ * @param {T} initial
+ * @returns {[T, SetStore<T>]}
+ *
+ * @example
+ * ```jsx
+ * const [store, setStore] = createStore({
+ *   todos: [{ id: 1, title: 'Write docs', done: false }],
+ * });
+ *
+ * const todos = Cell.derived(() => [...store.todos]);
+ *
+ * <ul>
+ *   {For(todos, (todo, index) => {
+ *     const done = Cell.derived(() => todo.done);
+ *     const toggle = () =>
+ *       setStore(['todos', index.get(), 'done'], (done) => !done);
+ *     return <li onClick={toggle}>{todo.title} {done}</li>;
+ *   }, { key: 'id' })}
+ * </ul>
+ *
+ * setStore((draft) => {
+ *   draft.todos.push({ id: 2, title: 'Ship it', done: false });
+ * });
+ * ```
+ */
+export function createStore(initial) {
+  const root = unwrapStore(initial);
+  const store = /** @type {T} */ (wrap(root, false));
+
+  /**
+   * @overload
+   * @param {readonly PropertyKey[]} path
+   * @param {unknown} value
+   * @returns {void}
+   */
+  /**
+   * @overload
+   * @param {(draft: T) => void} recipe
+   * @returns {void}
+   */
+  /**
+   * @param {readonly PropertyKey[] | ((draft: T) => void)} pathOrRecipe
+   * @param {unknown} [value]
+   */
+  function setStore(pathOrRecipe, value) {
+    Cell.batch(() => {
+      if (typeof pathOrRecipe === 'function') {
+        pathOrRecipe(/** @type {T} */ (wrap(root, true)));
+        return;
+      }
+      if (!pathOrRecipe.length) {
+        throw new Error('setStore() expects a path to the value to update.');
+      }
+      /** @type {any} */
+      let target = root;
+      const path = pathOrRecipe.slice(0, -1);
+      for (const key of path) {
+        target = target?.[key];
+        if (!isWrappable(target)) {
+          throw new Error(
+            `Cannot set a property of ${String(target)} at store path [${pathOrRecipe.map(String).join(', ')}].`
+          );
+        }
+      }
+      const key = /** @type {PropertyKey} */ (pathOrRecipe.at(-1));
+      const next =
+        typeof value === 'function'
+          ? value(
+              isWrappable(target[key]) ? wrap(target[key], false) : target[key]
+            )
+          : value;
+      writeProperty(target, key, next);
+    });
+  }
+
+  return [store, setStore];
+}
+
+/**
+ * Returns the plain object behind a store proxy, or the value itself if it
+ * is not one.
+ *
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+export function unwrapStore(value) {
+  if (!isWrappable(value)) return value;
+  return /** @type {any} */ (value)[RawKey] ?? value;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is object}
+ */
+function isWrappable(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return true;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Array indices are read through proxies as strings, but can be given to
+ * `setStore` as numbers.
+ *
+ * @param {PropertyKey} key
+ */
+function toTrackerKey(key) {
+  return typeof key === 'number' ? String(key) : key;
+}
+
+/**
+ * @param {object} target
+ * @param {PropertyKey} key
+ */
+function getTracker(target, key) {
+  let cells = trackers.get(target);
+  if (!cells) {
+    cells = new Map();
+    trackers.set(target, cells);
+  }
+  let cell = cells.get(toTrackerKey(key));
+  if (!cell) {
+    cell = Cell.source(0);
+    cells.set(toTrackerKey(key), cell);
+  }
+  return cell;
+}
+
+/**
+ * @param {object} target
+ * @param {PropertyKey} key
+ */
+function track(target, key) {
+  getTracker(target, key).get();
+}
+
+/**
+ * @param {object} target
+ * @param {PropertyKey} key
+ */
+function trigger(target, key) {
+  const cell = trackers.get(target)?.get(toTrackerKey(key));
+  if (cell) cell.set(cell.peek() + 1);
+}
+
+/**
+ * @param {any} target
+ * @param {PropertyKey} key
+ * @param {unknown} value
+ */
+function writeProperty(target, key, value) {
+  const next = unwrapStore(value);
+  const hadKey = Object.hasOwn(target, key);
+  const previous = target[key];
+  if (hadKey && Object.is(previous, next)) return;
+  const previousLength = Array.isArray(target) ? target.length : 0;
+  target[key] = next;
+  trigger(target, key);
+  if (!hadKey) trigger(target, IterateKey);
+  if (!Array.isArray(target)) return;
+  const length = target.length;
+  if (length === previousLength) return;
+  // Truncating an array removes the indices past its new length.
+  for (let i = length; i < previousLength; i++) trigger(target, String(i));
+  if (key !== 'length') trigger(target, 'length');
+  trigger(target, IterateKey);
+}
+
+/**
+ * @param {any} target
+ * @param {PropertyKey} key
+ */
+function deleteProperty(target, key) {
+  if (!Object.hasOwn(target, key)) return;
+  delete target[key];
+  trigger(target, key);
+  trigger(target, IterateKey);
+}
+
+/**
+ * @param {object} raw
+ * @param {boolean} writable
+ * @returns {object}
+ */
+function wrap(raw, writable) {
+  const cache = writable ? draftProxies : readProxies;
+  let proxy = cache.get(raw);
+  if (proxy) return proxy;
+
+  proxy = new Proxy(raw, {
+    get(target, key, receiver) {
+      if (key === RawKey) return target;
+      const value = Reflect.get(target, key, receiver);
+      if (typeof key === 'symbol' || typeof value === 'function') return value;
+      track(target, key);
+      return isWrappable(value) ? wrap(value, writable) : value;
+    },
+    has(target, key) {
+      track(target, key);
+      return Reflect.has(target, key);
+    },
+    ownKeys(target) {
+      track(target, IterateKey);
+      return Reflect.ownKeys(target);
+    },
+    set(target, key, value) {
+      if (!writable) throw new StoreWriteError(key);
+      writeProperty(target, key, value);
+      return true;
+    },
+    deleteProperty(target, key) {
+      if (!writable) throw new StoreWriteError(key);
+      deleteProperty(target, key);
+      return true;
+    },
+  });
+  cache.set(raw, proxy);
+  return proxy;
+}
+
+/**
+ * Thrown when a store is written to directly instead of through `setStore`.
+ */
+export class StoreWriteError extends Error {
+  /** @param {PropertyKey} key */
+  constructor(key) {
+    super(
+      `Cannot write to "${String(key)}" of a store. Use setStore() to update it.`
+    );
+  }
+}
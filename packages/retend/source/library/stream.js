@@ -0,0 +1,242 @@
+/** @import { FragmentContext } from './fragment.js' */
+/** @import { Renderer, RendererTypes } from './renderer.js' */
+/** @import { StateSnapshot } from './scope.js' */
+
+import { Cell } from '@adbl/cells';
+
+import { useAwait } from './await.js';
+import { captureErrorSource, reportError } from './errors.js';
+import { useFragmentCtx } from './fragment.js';
+import { branchState, withState } from './scope.js';
+import { createNodesFromTemplate } from './utils.js';
+
+/**
+ * @template T
+ * @typedef {AsyncIterable<T> | ReadableStream<T>} StreamSource
+ */
+
+const ReplaceKey = Symbol('retend:replaceChunks');
+
+/**
+ * Marks a stream so that each chunk replaces the content rendered from the
+ * previous one, instead of being appended after it.
+ *
+ * Useful for sources that yield a complete state on every chunk, such as a
+ * progress message or a list that is re-sent as it grows.
+ *
+ * @template T
+ * @param {StreamSource<T>} source
+ * @returns {AsyncIterable<T>}
+ *
+ * @example
+ * ```tsx
+ * async function* status() {
+ *   yield 'Connecting...';
+ *   await connect();
+ *   yield 'Connected';
+ * }
+ *
+ * <p>{replaceChunks(status())}</p>
+ * ```
+ */
+export function replaceChunks(source) {
+  // The marker is internal, so it is left out of the returned type.
+  return /** @type {AsyncIterable<T>} */ ({
+    [ReplaceKey]: true,
+    [Symbol.asyncIterator]: () => openStream(source),
+  });
+}
+
+/**
+ * Checks whether a value is an async iterable or a readable stream.
+ *
+ * @param {unknown} value
+ * @returns {value is StreamSource<unknown>}
+ * @internal
+ */
+export function isStreamSource(value) {
+  if (value === null || typeof value !== 'object') return false;
+  return (
+    Symbol.asyncIterator in value ||
+    typeof (/** @type {any} */ (value).getReader) === 'function'
+  );
+}
+
+/**
+ * Checks whether a stream was marked with `replaceChunks`.
+ *
+ * @param {StreamSource<unknown>} source
+ * @returns {boolean}
+ * @internal
+ */
+export function isReplacingStream(source) {
+  return ReplaceKey in source;
+}
+
+/**
+ * Opens an iterator over a stream source. Readable streams are read with a
+ * reader, since not every runtime makes them async iterable.
+ *
+ * @template T
+ * @param {StreamSource<T>} source
+ * @returns {AsyncIterator<T>}
+ */
+function openStream(source) {
+  if (!('getReader' in source)) return source[Symbol.asyncIterator]();
+
+  const reader = source.getReader();
+  return {
+    next: async () => {
+      const result = await reader.read();
+      return result.done
+        ? { done: true, value: undefined }
+        : { done: false, value: result.value };
+    },
+    return: async () => {
+      await reader.cancel();
+      return { done: true, value: undefined };
+    },
+  };
+}
+
+/**
+ * Reads a stream source chunk by chunk for as long as a node is alive,
+ * and cancels it when the node is disposed. Errors thrown by the source are
+ * passed to the node's error handlers, or reported with `reportError` when
+ * none claims them.
+ *
+ * @template T
+ * @param {StreamSource<T>} source
+ * @param {StateSnapshot['node']} node
+ * @param {(chunk: T) => void} onChunk
+ * @returns {Promise<unknown>} A promise that resolves once the first chunk is
+ * handled, or the stream ends or fails before producing one.
+ * @internal
+ */
+export function consumeStream(source, node, onChunk) {
+  const iterator = openStream(source);
+  const errorSource = captureErrorSource(node.id);
+  let disposed = false;
+  node.addDispose(() => {
+    disposed = true;
+    iterator.return?.()?.catch(() => {});
+  });
+
+  /** @type {(value?: unknown) => void} */
+  let resolve = () => {};
+  const firstChunk = new Promise((r) => {
+    resolve = r;
+  });
+  const pump = async () => {
+    try {
+      for await (const chunk of { [Symbol.asyncIterator]: () => iterator }) {
+        if (disposed) break;
+        onChunk(chunk);
+        resolve();
+      }
+    } catch (error) {
+      if (!disposed && !node.handleError(error)) {
+        reportError(error, { ...errorSource, phase: 'stream' });
+      }
+    } finally {
+      resolve();
+    }
+  };
+  pump();
+  return firstChunk;
+}
+
+/**
+ * Creates a function that adds nodes after the ones already written to a
+ * group. Each call writes the nodes, followed by an empty group that the next
+ * call writes into, so adding a chunk only touches the chunk's own nodes.
+ *
+ * @param {Renderer<any>} renderer
+ * @param {unknown} group
+ * @param {unknown} handle The handle of `group`.
+ * @param {FragmentContext | null} [fragmentCtx]
+ * @returns {(nodes: unknown[], logicalNodes?: unknown[]) => void}
+ * A function that takes the nodes to write, and optionally the unflattened
+ * nodes to correlate with the fragment context instead.
+ * @internal
+ */
+export function createAppender(renderer, group, handle, fragmentCtx) {
+  let tail = { group, handle };
+  return (nodes, logicalNodes = nodes) => {
+    const next = renderer.createGroup();
+    const nextHandle = renderer.createGroupHandle(next);
+    fragmentCtx?.correlate(tail.group, [...logicalNodes, next], tail.handle);
+    renderer.write(tail.handle, [...nodes, next]);
+    tail = { group: next, handle: nextHandle };
+  };
+}
+
+/**
+ * Reserves a group for the content of a stream source, such as an async
+ * generator, and renders each chunk into it as the chunk arrives. Chunks are
+ * appended after one another, unless the source is marked with
+ * `replaceChunks`. The nearest `Await` waits for the first chunk.
+ *
+ * @template {RendererTypes} Types
+ * @param {StreamSource<unknown>} source
+ * @param {Renderer<Types>} renderer
+ * @returns {Types['Group']}
+ * @internal
+ */
+export function createStreamGroup(source, renderer) {
+  const snapshot = branchState();
+  const fragmentCtx = useFragmentCtx();
+  const group = renderer.createGroup();
+  const handle = renderer.createGroupHandle(group);
+  snapshot.data = { handle };
+  const replace = isReplacingStream(source);
+  // Byte chunks, such as the ones from a fetch response body, are decoded
+  // as text.
+  const decoder = new TextDecoder();
+  // In replace mode, every chunk is rendered into the same branch, which is
+  // cleared first. In append mode, each chunk keeps a branch of its own.
+  const replaceSnapshot = replace
+    ? { ...snapshot, node: snapshot.node.branch() }
+    : null;
+  const append = createAppender(renderer, group, handle, fragmentCtx);
+  /** @type {{ text: string, node: unknown } | null} */
+  let lastText = null;
+
+  /** @param {unknown} chunk */
+  const renderChunk = (chunk) => {
+    if (chunk instanceof Uint8Array) {
+      chunk = decoder.decode(chunk, { stream: true });
+    }
+    // Consecutive text chunks, such as the tokens of a streamed response,
+    // are merged into one text node.
+    const isText = typeof chunk === 'string' || typeof chunk === 'number';
+    if (!replace && isText && lastText) {
+      lastText.text += String(chunk);
+      renderer.updateText(lastText.text, lastText.node);
+      return;
+    }
+
+    if (replaceSnapshot) {
+      replaceSnapshot.node.dispose();
+      const nodes = withState(replaceSnapshot, () =>
+        createNodesFromTemplate(chunk, renderer)
+      );
+      fragmentCtx?.correlate(group, nodes, handle);
+      renderer.write(handle, nodes);
+      replaceSnapshot.node.activate();
+      return;
+    }
+
+    const chunkSnapshot = { ...snapshot, node: snapshot.node.branch() };
+    const nodes = withState(chunkSnapshot, () =>
+      createNodesFromTemplate(chunk, renderer)
+    );
+    lastText = isText ? { text: String(chunk), node: nodes[0] } : null;
+    append(nodes);
+    chunkSnapshot.node.activate();
+  };
+
+  const firstChunk = consumeStream(source, snapshot.node, renderChunk);
+  useAwait()?.waitUntil(Cell.derivedAsync(() => firstChunk));
+  return group;
+}
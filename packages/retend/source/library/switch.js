@@ -1,21 +1,22 @@
 /** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { AsyncCell } from '@adbl/cells' */
 
-import { Cell, AsyncCell } from '@adbl/cells';
+import { Cell } from '@adbl/cells';
 
-import { useAwait } from './await.js';
-import { useFragmentCtx } from './fragment.js';
+import { adaptReactive } from './adapters.js';
+import { createReactiveBranch } from './branch.js';
 import { getActiveRenderer } from './renderer.js';
-import { branchState, withState } from './scope.js';
 
 /**
- * @param {*} value
+ * @param {*} input
  * @param {*} cases
  * @param {*} defaultCase
  * @param {*} key
  */
-function createSwitch(value, cases, defaultCase, key) {
+function createSwitch(input, cases, defaultCase, key) {
   return () => {
     const renderer = getActiveRenderer();
+    const value = adaptReactive(input);
 
     for (const fn of Object.values(cases)) {
       if (typeof fn === 'function' && !fn.name)
@@ -33,44 +34,11 @@ function createSwitch(value, cases, defaultCase, key) {
         : undefined;
     }
 
-    const snapshot = branchState();
-    if (value instanceof AsyncCell) useAwait()?.waitUntil(value);
-    const fragmentCtx = useFragmentCtx();
-
-    /** @param {any} current */
-    const callback = (current) =>
-      withState(snapshot, () => {
-        const caller = cases[select(current)] || defaultCase;
-        if (!caller) return [];
-        return [renderer.handleComponent(caller, [current], snapshot)].flat();
-      });
-    /** @param {any} nextValue */
-    const processValueChange = (nextValue) => {
-      snapshot.node.dispose();
-      const nextNodes = callback(nextValue);
-      fragmentCtx?.correlate(group, nextNodes, handle);
-      renderer.write(handle, nextNodes);
-      snapshot.node.activate();
-    };
-
-    // It is important that the listener is registered first.
-    value.listen((nextValue) => {
-      if (nextValue instanceof Promise) nextValue.then(processValueChange);
-      else processValueChange(nextValue);
+    return createReactiveBranch(value, (current, snapshot) => {
+      const caller = cases[select(current)] || defaultCase;
+      if (!caller) return [];
+      return [renderer.handleComponent(caller, [current], snapshot)].flat();
     });
-
-    const initialValue = value.get();
-    const group = renderer.createGroup();
-    const handle = renderer.createGroupHandle(group);
-    snapshot.data = { handle };
-    if (initialValue instanceof Promise) {
-      initialValue.then(processValueChange);
-      return group;
-    }
-    const nodes = callback(initialValue);
-    fragmentCtx?.correlate(group, nodes, handle);
-    renderer.write(handle, nodes);
-    return group;
   };
 }
 
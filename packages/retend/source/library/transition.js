@@ -0,0 +1,117 @@
+import { Cell } from '@adbl/cells';
+
+/**
+ * @typedef TransitionState
+ * @property {Set<Promise<unknown>>} promises
+ * The new values of the async cells that changed within the transition.
+ * @property {Promise<void>} settled
+ * Resolves once all of `promises` have settled.
+ */
+
+/**
+ * @typedef Transition
+ * @property {Cell<boolean>} isPending
+ * Whether the content changed by a transition is still loading.
+ * @property {(callback: () => void) => void} startTransition
+ * Runs `callback` as a transition, updating `isPending` while it loads.
+ */
+
+/** @type {TransitionState | null} */
+let activeTransition = null;
+
+/**
+ * Runs a callback that updates cells, such as switching a tab or a search
+ * term, as a transition.
+ *
+ * The async content that changes because of the update keeps showing its
+ * previous value until every new value started within the transition has
+ * resolved, and then all of it updates together.
+ *
+ * @param {() => void} callback
+ * @returns {Promise<void> | null}
+ * A promise that resolves once the changed content has updated, or `null` if
+ * no async content changed.
+ *
+ * @example
+ * ```tsx
+ * const tab = Cell.source('posts');
+ * const content = Cell.derivedAsync(async (get) => fetchTab(get(tab)));
+ *
+ * const showTab = (next) => startTransition(() => tab.set(next));
+ * ```
+ */
+export function startTransition(callback) {
+  const previous = activeTransition;
+  /** @type {(value?: undefined) => void} */
+  let settle = () => {};
+  /** @type {TransitionState} */
+  const transition = {
+    promises: new Set(),
+    settled: new Promise((resolve) => {
+      settle = resolve;
+    }),
+  };
+  activeTransition = transition;
+  try {
+    callback();
+  } finally {
+    activeTransition = previous;
+  }
+  if (transition.promises.size === 0) return null;
+  Promise.allSettled(transition.promises).then(() => settle());
+  return transition.settled;
+}
+
+/**
+ * Creates a transition with a cell that tracks whether it is loading, to
+ * show a pending indicator next to the previous content.
+ *
+ * @returns {Transition}
+ *
+ * @example
+ * ```tsx
+ * function Tabs() {
+ *   const { isPending, startTransition } = useTransition();
+ *   const select = (next) => startTransition(() => tab.set(next));
+ *
+ *   return (
+ *     <div class={{ dimmed: isPending }}>
+ *       <TabBar onSelect={select} />
+ *       <Await fallback={<Spinner />}>{content}</Await>
+ *     </div>
+ *   );
+ * }
+ * ```
+ */
+export function useTransition() {
+  const isPending = Cell.source(false);
+  let latest = 0;
+  return {
+    isPending,
+    startTransition(callback) {
+      const settled = startTransition(callback);
+      if (!settled) return;
+      const id = ++latest;
+      isPending.set(true);
+      settled.then(() => {
+        if (id === latest) isPending.set(false);
+      });
+    },
+  };
+}
+
+/**
+ * Delays the commit of a new async value until the transition it was started
+ * in, if any, has settled.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @returns {Promise<T>}
+ * @internal
+ */
+export function holdForTransition(promise) {
+  const transition = activeTransition;
+  if (!transition) return promise;
+  transition.promises.add(promise);
+  return transition.settled.then(() => promise);
+}
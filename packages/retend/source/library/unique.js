@@ -3,6 +3,7 @@
 /** @import { StateSnapshot, Scope } from '../library/scope.js' */
 /** @import { Renderer } from '../library/renderer.js' */
 /** @import { FragmentContext } from './fragment.js' */
+/** @import { ErrorSource } from './errors.js' */
 
 import { Cell } from '@adbl/cells';
 
@@ -11,16 +12,18 @@ import {
   __HMR_SYMBOLS,
   branchState,
   createScope,
+  getState,
   MissingScopeError,
   onSetup,
   useScopeContext,
   withState,
 } from '../library/scope.js';
 import { useAwait } from './await.js';
+import { captureErrorSource, reportError } from './errors.js';
 import { correlate, TrackedFragmentScope, useFragmentCtx } from './fragment.js';
 
 const StashSymbol = Symbol('UniqueStash');
-/** @type {Scope<Set<UniqueMoveFn>>} */
+/** @type {Scope<Map<UniqueMoveFn, ErrorSource>>} */
 const UniqueScope = createScope('Unique');
 
 /**
@@ -32,8 +35,9 @@ const UniqueScope = createScope('Unique');
  * @property {SourceCell<UniqueProps<any>>} props
  * @property {StateSnapshot} state
  * @property {unknown[]} logicalNodes
- * @property {Set<UniqueMoveFn>} moveFns
- * @property {Array<() => void>} restoreFns
+ * @property {Map<UniqueMoveFn, ErrorSource>} moveFns
+ * The move callbacks of the instance, with where they were registered.
+ * @property {Array<[() => void, ErrorSource]>} restoreFns
  * @property {Array<[any, any, UniqueProps<any>, FragmentContext | null]>} journey
  * Handle, group, props and fragment context corresponding to a point in the journey
  * @property {ReturnType<typeof useAwait>} pendingAwait
@@ -94,9 +98,9 @@ const UniqueScope = createScope('Unique');
  */
 export function onMove(callback) {
   try {
-    const set = useScopeContext(UniqueScope);
-    set.add(callback);
-    onSetup(() => () => set.delete(callback));
+    const moveFns = useScopeContext(UniqueScope);
+    moveFns.set(callback, captureErrorSource(getState().node.id));
+    onSetup(() => () => moveFns.delete(callback));
   } catch (cause) {
     if (cause instanceof MissingScopeError) {
       const message = `onMove() cannot be used outside a unique subtree.`;
@@ -116,12 +120,12 @@ const save = (inst, renderer) => {
   if (inst.idOfLastSavedHandle !== null) return inst.idOfLastSavedHandle;
   // If there are pending restore function, we need to clear them
   // before saving again.
-  for (const move of inst.moveFns) {
+  for (const [move, source] of inst.moveFns) {
     try {
       const restoreFn = move();
-      if (restoreFn) inst.restoreFns.push(restoreFn);
-    } catch (e) {
-      console.error(e);
+      if (restoreFn) inst.restoreFns.push([restoreFn, source]);
+    } catch (error) {
+      reportError(error, { ...source, phase: 'move' });
     }
   }
   const handle = inst.journey[inst.journey.length - 1][0];
@@ -130,11 +134,11 @@ const save = (inst, renderer) => {
 
 /** @param {UniqueCtx} inst */
 const runRestoreFns = (inst) => {
-  for (const fn of inst.restoreFns) {
+  for (const [fn, source] of inst.restoreFns) {
     try {
       fn();
-    } catch (e) {
-      console.error(e);
+    } catch (error) {
+      reportError(error, { ...source, phase: 'move' });
     }
   }
   inst.restoreFns.length = 0;
@@ -205,7 +209,7 @@ export function createUnique(renderFn) {
       // dispose() on this retained branch directly.
       const state = branchState('retained');
       state.data = { handle };
-      const moveFns = new Set();
+      const moveFns = new Map();
       /** @type {UniqueCtx} */
       let newInstance;
       /**
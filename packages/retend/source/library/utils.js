@@ -1,9 +1,21 @@
 /** @import { Renderer, RendererTypes } from './renderer.js'; */
+/** @import { StateSnapshot } from './scope.js'; */
 import { AsyncCell, Cell } from '@adbl/cells';
 
+import { adaptReactive } from './adapters.js';
 import { Block } from './block.js';
+import { captureErrorSource, reportError } from './errors.js';
 import { useFragmentCtx } from './fragment.js';
 import { useAwait } from './index.js';
+import { branchState, getState, withState } from './scope.js';
+import { createStreamGroup, isStreamSource } from './stream.js';
+import { holdForTransition } from './transition.js';
+
+/**
+ * The branches of the groups reserved for promises.
+ * @type {WeakMap<object, StateSnapshot>}
+ */
+const promiseBranches = new WeakMap();
 
 /**
  * @template {RendererTypes} Types
@@ -19,7 +31,7 @@ export function createNodesFromTemplate(children, renderer) {
   const stack = [children];
 
   while (stack.length > 0) {
-    const child = stack.pop();
+    const child = adaptReactive(stack.pop());
     if (
       typeof child === 'string' ||
       typeof child === 'number' ||
@@ -61,6 +73,16 @@ export function createNodesFromTemplate(children, renderer) {
       continue;
     }
 
+    if (child instanceof Promise) {
+      nodes.push(createPromiseGroup(child, renderer));
+      continue;
+    }
+
+    if (isStreamSource(child)) {
+      nodes.push(createStreamGroup(child, renderer));
+      continue;
+    }
+
     if (child) nodes.push(child);
   }
 
@@ -108,6 +130,7 @@ export function linkNodes(first, second, renderer) {
  * @returns {Types['Node']} The normalized child element.
  */
 export function normalizeJsxChild(child, renderer) {
+  child = adaptReactive(child);
   if (renderer.isNode(child)) return child;
 
   if (child instanceof Block) {
@@ -125,7 +148,7 @@ export function normalizeJsxChild(child, renderer) {
     /** @type {any[]} */
     const collected = [];
     while (stack.length > 0) {
-      const subchild = stack.pop();
+      const subchild = adaptReactive(stack.pop());
       if (Array.isArray(subchild)) {
         for (let i = subchild.length - 1; i >= 0; i -= 1) {
           stack.push(subchild[i]);
@@ -153,6 +176,10 @@ export function normalizeJsxChild(child, renderer) {
         normalized = renderer.createText('');
       } else if (renderer.isNode(subchild)) {
         normalized = subchild;
+      } else if (subchild instanceof Promise) {
+        normalized = createPromiseGroup(subchild, renderer);
+      } else if (isStreamSource(subchild)) {
+        normalized = createStreamGroup(subchild, renderer);
       } else {
         normalized = createTextNode(subchild, renderer);
       }
@@ -172,9 +199,96 @@ export function normalizeJsxChild(child, renderer) {
     return renderer.createText('');
   }
 
+  if (child instanceof Promise) return createPromiseGroup(child, renderer);
+  if (isStreamSource(child)) return createStreamGroup(child, renderer);
+
   return createTextNode(child, renderer);
 }
 
+/**
+ * Runs an async component in a branch of its own, created before it is
+ * called, so that what it registers before its first `await` belongs to the
+ * branch its template is rendered in.
+ *
+ * @template T
+ * @param {() => T} callback
+ * @returns {T}
+ * @internal
+ */
+export function withAsyncBranch(callback) {
+  const snapshot = branchState();
+  snapshot.data = { reserved: true };
+  return withState(snapshot, callback);
+}
+
+/**
+ * Runs a component that is not `async`, and if it returns a promise, moves
+ * what it registered before returning into the branch reserved for the
+ * promise, the same as `withAsyncBranch` does for an async component.
+ *
+ * @template T
+ * @param {() => T} callback
+ * @returns {T}
+ * @internal
+ */
+export function withPromiseBranch(callback) {
+  const { node } = getState();
+  const mark = node.mark();
+  const result = callback();
+  const snapshot =
+    typeof result === 'object' && result !== null
+      ? promiseBranches.get(result)
+      : undefined;
+  if (snapshot) node.transfer(mark, snapshot.node);
+  return result;
+}
+
+/**
+ * Reserves a group for the template a promise resolves to, such as the one
+ * returned by an async component, and renders the template into it once
+ * the promise resolves. The nearest `Await` waits for the promise.
+ *
+ * @template {RendererTypes} Types
+ * @param {Promise<unknown>} promise
+ * @param {Renderer<Types>} renderer
+ * @returns {Types['Group']}
+ */
+function createPromiseGroup(promise, renderer) {
+  const current = getState();
+  const snapshot = current.data?.reserved ? current : branchState();
+  const source = captureErrorSource(snapshot.node.id);
+  const fragmentCtx = useFragmentCtx();
+  const group = renderer.createGroup();
+  const handle = renderer.createGroupHandle(group);
+  snapshot.data = { handle };
+  promiseBranches.set(group, snapshot);
+  // The branch can be removed before the promise settles.
+  let disposed = false;
+  snapshot.node.addDispose(() => {
+    disposed = true;
+  });
+
+  useAwait()?.waitUntil(Cell.derivedAsync(() => promise));
+  promise.then(
+    (template) => {
+      if (disposed) return;
+      const nodes = withState(snapshot, () =>
+        createNodesFromTemplate(template, renderer)
+      );
+      fragmentCtx?.correlate(group, nodes, handle);
+      renderer.write(handle, nodes);
+      snapshot.node.activate();
+    },
+    (error) => {
+      if (disposed) return;
+      if (!snapshot.node.handleError(error)) {
+        reportError(error, { ...source, phase: 'component' });
+      }
+    }
+  );
+  return group;
+}
+
 /**
  * @template {RendererTypes} Types
  * @param {string | Cell<any>} subchild
@@ -187,10 +301,16 @@ function createTextNode(subchild, renderer) {
     /** @type { Types["Node"]} */
     let textNode;
     if (subchild instanceof AsyncCell) useAwait()?.waitUntil(subchild);
+    const { node } = getState();
+    /** @param {unknown} error */
+    const handleError = (error) => {
+      if (!node.handleError(error)) throw error;
+    };
     /** @param {any} nextValue */
     const nextTextUpdate = (nextValue) => {
-      if (nextValue instanceof Promise) nextValue.then(nextTextUpdate);
-      else renderer.updateText(String(nextValue), textNode);
+      if (nextValue instanceof Promise) {
+        holdForTransition(nextValue).then(nextTextUpdate, handleError);
+      } else renderer.updateText(String(nextValue), textNode);
     };
 
     const initialValue = subchild.get();
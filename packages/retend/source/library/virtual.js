@@ -0,0 +1,101 @@
+/** @import { SourceCell } from '@adbl/cells' */
+
+import { Cell } from '@adbl/cells';
+
+import { onSetup } from './scope.js';
+
+/**
+ * A range of list indices, with `start` inclusive and `end` exclusive.
+ *
+ * @typedef VirtualRange
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Supplies the scroll position and size of a viewport in a host environment.
+ * All measurements are along the axis the list scrolls in.
+ *
+ * @typedef VirtualAdapter
+ * @property {() => number} getOffset
+ * Returns how far the viewport has been scrolled past the start of the list.
+ * @property {() => number} getSize
+ * Returns the visible size of the viewport.
+ * @property {(callback: () => void) => () => void} observe
+ * Calls `callback` whenever the offset or size changes. Returns a function that
+ * stops observing.
+ */
+
+/**
+ * @typedef VirtualRangeOptions
+ * @property {number} itemSize
+ * The size of each item along the scroll axis.
+ * @property {number} [initialSize]
+ * The viewport size assumed until the adapter is observed, such as during
+ * server rendering. Defaults to the size reported by the adapter.
+ */
+
+/**
+ * Creates a cell holding the range of items visible in a viewport, for use
+ * with the `window` option of `For`.
+ *
+ * The range is recomputed whenever the adapter reports a change, starting
+ * when the calling component is set up.
+ *
+ * @param {VirtualAdapter} adapter
+ * @param {VirtualRangeOptions} options
+ * @returns {Cell<VirtualRange>}
+ *
+ * @example
+ * ```jsx
+ * function Table(props) {
+ *   const viewport = Cell.source(null);
+ *   const range = createVirtualRange(createScrollAdapter(viewport), {
+ *     itemSize: 32,
+ *   });
+ *   const height = Cell.derived(() => `${props.rows.get().length * 32}px`);
+ *
+ *   return (
+ *     <div ref={viewport} style={{ height: '400px', overflow: 'auto' }}>
+ *       <div style={{ position: 'relative', height }}>
+ *         {For(props.rows, (row, index) => (
+ *           <Row row={row} top={Cell.derived(() => `${index.get() * 32}px`)} />
+ *         ), { window: { range, overscan: 5 } })}
+ *       </div>
+ *     </div>
+ *   );
+ * }
+ * ```
+ */
+export function createVirtualRange(adapter, options) {
+  const { itemSize, initialSize } = options;
+
+  /**
+   * @param {number} offset
+   * @param {number} size
+   * @returns {VirtualRange}
+   */
+  const compute = (offset, size) => ({
+    start: Math.max(0, Math.floor(offset / itemSize)),
+    end: Math.max(0, Math.ceil((offset + size) / itemSize)),
+  });
+
+  /** @type {SourceCell<VirtualRange>} */
+  const range = Cell.source(
+    compute(adapter.getOffset(), initialSize ?? adapter.getSize())
+  );
+
+  const update = () => {
+    const next = compute(adapter.getOffset(), adapter.getSize());
+    const current = range.get();
+    if (next.start === current.start && next.end === current.end) return;
+    range.set(next);
+  };
+
+  onSetup(() => {
+    update();
+    return adapter.observe(update);
+  });
+
+  return range;
+}
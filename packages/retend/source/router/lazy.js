@@ -1,31 +1,175 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+
+import { Cell } from '@adbl/cells';
+
+import { If } from '../library/if.js';
+import h from '../library/jsx.js';
+
 /**
  * @template out LazyContent
  * @typedef {() => (Promise<{ default: LazyContent }> | LazyContent)} LazyLoader
  */
 
+/**
+ * A `Lazy` that can also be rendered as a JSX component, if what it loads
+ * is a component.
+ *
+ * @template LazyContent
+ * @typedef {Lazy<LazyContent> & (LazyContent extends (props: infer P) => any
+ *   ? (props: P) => JSX.Template
+ *   : unknown)} LazyComponent
+ */
+
+/**
+ * @typedef LazyState
+ * @property {LazyLoader<any>} importer
+ * @property {Promise<any> | null} promise
+ * @property {boolean} loaded
+ * @property {any} content
+ */
+
+/**
+ * The states of `Lazy` instances. They are keyed by the function each
+ * instance really is, which is created before it becomes a `Lazy`.
+ *
+ * @type {WeakMap<object, LazyState>}
+ */
+const states = new WeakMap();
+
+/**
+ * Thrown when the module of a `Lazy` fails to load, or does not have a
+ * default export.
+ */
+export class LazyImportError extends Error {
+  /**
+   * @param {string} message
+   * @param {LazyLoader<unknown>} importer
+   * @param {unknown} [cause]
+   */
+  constructor(message, importer, cause) {
+    super(`${message}\nImporter: ${importer.toString()}`, { cause });
+    this.name = 'LazyImportError';
+  }
+}
+
 /** @template LazyContent */
 export class Lazy {
   /** @param {LazyLoader<LazyContent>} importer */
   constructor(importer) {
-    this.importer = importer;
+    /** @type {LazyState} */
+    const state = { importer, promise: null, loaded: false, content: null };
+    // Lazy instances are functions, so that they can be used as components.
+    /** @param {any} props */
+    const LazyComponent = (props) => renderLazy(state, props);
+    Object.setPrototypeOf(LazyComponent, new.target.prototype);
+    Object.defineProperty(LazyComponent, 'name', { value: 'Lazy' });
+    LazyComponent.importer = importer;
+    states.set(LazyComponent, state);
+    return /** @type {any} */ (LazyComponent);
+  }
+
+  /**
+   * Starts loading the content, if it has not been loaded yet.
+   *
+   * Calling it ahead of time, such as when hovering over a link, means the
+   * content is ready by the time it is rendered. A failed load is retried on
+   * the next call.
+   *
+   * @returns {Promise<LazyContent>}
+   */
+  preload() {
+    return preload(/** @type {LazyState} */ (states.get(this)));
   }
 
   async unwrap() {
-    const imported = this.importer();
-    if (imported instanceof Promise) {
-      return (await imported).default;
+    return this.preload();
+  }
+}
+
+// Instances are functions, so they keep the methods of functions.
+Object.setPrototypeOf(Lazy.prototype, Function.prototype);
+
+/**
+ * @param {LazyState} state
+ * @returns {Promise<any>}
+ */
+function preload(state) {
+  if (state.promise) return state.promise;
+  state.promise = load(state.importer).then(
+    (content) => {
+      state.loaded = true;
+      state.content = content;
+      return content;
+    },
+    (error) => {
+      state.promise = null;
+      throw error;
     }
-    return imported;
+  );
+  return state.promise;
+}
+
+/**
+ * @template T
+ * @param {LazyLoader<T>} importer
+ * @returns {Promise<T>}
+ */
+async function load(importer) {
+  let imported;
+  try {
+    imported = importer();
+    if (!(imported instanceof Promise)) return imported;
+    imported = await imported;
+  } catch (error) {
+    const message = `Failed to load a lazy module: ${error instanceof Error ? error.message : String(error)}`;
+    throw new LazyImportError(message, importer, error);
+  }
+  if (imported === null || typeof imported !== 'object') return imported;
+  if (!('default' in imported) || imported.default === undefined) {
+    const message =
+      'The module loaded by lazy() has no default export. Export the component as default, or return it from the importer with `.then((m) => m.Named)`.';
+    throw new LazyImportError(message, importer);
   }
+  return imported.default;
+}
+
+/**
+ * @param {LazyState} state
+ * @param {any} props
+ * @returns {JSX.Template}
+ */
+function renderLazy(state, props) {
+  if (state.loaded) return h(state.content, props);
+  // The If suspends the nearest Await until the content has loaded.
+  const content = Cell.derivedAsync(() => preload(state));
+  // Only a Lazy that loads a component is rendered.
+  return If(content, (Component) =>
+    h(/** @type {Function} */ (Component), props)
+  );
 }
 
 /**
  * @template T
  * Creates a new `Lazy` instance that can be used to lazily load and render resources.
  *
+ * Besides route components and subtrees, a lazily loaded component can be
+ * rendered anywhere in JSX. Until it loads, it holds back the nearest `Await`.
+ *
  * @param {LazyLoader<T>} importer - A function that returns a Promise that resolves to the whatever is to be loaded.
- * @returns {Lazy<T>} A new `Lazy` instance.
+ * @returns {LazyComponent<T>} A new `Lazy` instance.
+ *
+ * @example
+ * ```tsx
+ * const Chart = lazy(() => import('./Chart'));
+ *
+ * <Await fallback={<Spinner />}>
+ *   <Chart data={data} />
+ * </Await>
+ *
+ * // Start loading early, such as on hover.
+ * Chart.preload();
+ * ```
  */
 export function lazy(importer) {
-  return new Lazy(importer);
+  return /** @type {LazyComponent<T>} */ (new Lazy(importer));
 }
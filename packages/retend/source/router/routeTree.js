@@ -12,6 +12,32 @@
  * @typedef {Record<string, any> | ((metadataOptions: MetadataOptions) => Promise<Record<string, any>> | Record<string, any>)} Metadata
  */
 
+/**
+ * @typedef LoaderArgs
+ * @property {Map<string, string>} params
+ * @property {URLSearchParams} query
+ * @property {AbortSignal} signal
+ * Aborted when another navigation starts before the loader finishes.
+ */
+
+/**
+ * Loads the data of a route, to read in its component with `useLoaderData`.
+ * @typedef {(args: LoaderArgs) => unknown} RouteLoader
+ */
+
+/**
+ * @typedef ActionArgs
+ * @property {FormData} formData
+ * @property {Map<string, string>} params
+ * @property {URLSearchParams} query
+ */
+
+/**
+ * Handles the submissions of a `Form` to a route. Returning `redirect(path)`
+ * navigates to the path once the action is done.
+ * @typedef {(args: ActionArgs) => unknown} RouteAction
+ */
+
 /**
  * A Map whose keys are the keys of O and whose values are the corresponding properties of O.
  *
@@ -57,6 +83,15 @@
  * @property {Metadata} [metadata]
  * Metadata to be associated with the route.
  *
+ * @property {RouteLoader} [loader]
+ * Loads the data for the route's component. The loaders of all the matched
+ * routes run in parallel when the route is navigated to, without waiting for
+ * the routes above them.
+ *
+ * @property {RouteAction} [action]
+ * Handles forms submitted to the route with `Form`. After it runs, the
+ * loaders of the current routes run again.
+ *
  * @property {string} [transitionType]
  * The active view transition type for the route. This will be set on the document
  * whenever the route is being transitioned to.
@@ -142,6 +177,8 @@ export class EagerRoute extends Route {
   /** @type {boolean} */ isTransient = false;
   /** @type {(EagerRoute<T> | LazyRoute<T>)[]} */ children = [];
   /** @type {Metadata | null} */ metadata = {};
+  /** @type {RouteLoader | null} */ loader = null;
+  /** @type {RouteAction | null} */ action = null;
 }
 
 /** @template T */
@@ -200,6 +237,8 @@ export class MatchedRoute {
   /** @type {MatchedRoute<T> | null} */ child;
   /** @type {string | null} */ transitionType;
   /** @type {Metadata | null} */ metadata;
+  /** @type {RouteLoader | null} */ loader;
+  /** @type {RouteAction | null} */ action;
 
   /**
    * @param {EagerRoute<T>} route
@@ -215,6 +254,8 @@ export class MatchedRoute {
     this.title = route.title;
     this.transitionType = route.transitionType;
     this.metadata = route.metadata;
+    this.loader = route.loader;
+    this.action = route.action;
   }
 }
 
@@ -643,6 +684,12 @@ RouteTree.fromRouteRecords = (routeRecords, parent = null) => {
       if (routeRecord.metadata) {
         leaf.metadata = routeRecord.metadata;
       }
+      if (routeRecord.loader) {
+        leaf.loader = routeRecord.loader;
+      }
+      if (routeRecord.action) {
+        leaf.action = routeRecord.action;
+      }
 
       if (pathSegments.length <= 1) {
         leaf.isDynamic = routeRecord.path.startsWith(':');
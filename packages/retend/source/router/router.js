@@ -1,10 +1,16 @@
+/** @import { AsyncCell } from '@adbl/cells'; */
 /** @import { Scope } from '../library/scope.js' */
 /** @import { JSX } from '../jsx-runtime/types.ts' */
 /** @import { RouterEventTypes, RouterEventHandlerMap } from './events.js'; */
-/** @import { MatchedRoute, MatchResult } from './routeTree.js'; */
+/** @import { MatchedRoute, MatchResult, RouteLoader } from './routeTree.js'; */
 /** @import { RouterMiddleware, RouteData } from './middleware.js'; */
 /** @import {
  *   NavigationOptions,
+ *   NavigationBlocker,
+ *   PrefetchStrategy,
+ *   NavigationState,
+ *   SubmitOptions,
+ *   RouterFormProps,
  *   RouterInternalState,
  *   RouterOptions,
  *   RouterLinkProps,
@@ -21,10 +27,11 @@
 import { Cell } from '@adbl/cells';
 
 import { IgnoredHProps } from '../_internals.js';
+import { reportError } from '../library/errors.js';
 import { If } from '../library/if.js';
 import h from '../library/jsx.js';
 import { getActiveRenderer } from '../library/renderer.js';
-import { createScope, useScopeContext } from '../library/scope.js';
+import { createScope, onSetup, useScopeContext } from '../library/scope.js';
 import {
   BeforeNavigateEvent,
   RouteChangeEvent,
@@ -36,6 +43,7 @@ import {
 import { Lazy } from './lazy.js';
 import { RouterMiddlewareResponse } from './middleware.js';
 import { RouteTree } from './routeTree.js';
+import { ScrollRestorer } from './scroll.js';
 import { constructURL, getFullPath } from './utils.js';
 
 export * from './lazy.js';
@@ -47,6 +55,20 @@ export * from './events.js';
 /** @type {Scope<RouterData>} */
 const RouterScope = createScope('retend:Router');
 
+/** How long prefetched loader data is used by navigations, in milliseconds. */
+const PREFETCH_LIFETIME = 30_000;
+
+/**
+ * @typedef PrefetchEntry
+ * @property {Promise<void>} ready
+ * @property {(Promise<unknown> | undefined)[]} data
+ * The results of the loaders of the matched routes, by their depth.
+ * @property {number} expires
+ * @property {AbortController} controller
+ * Aborts the loaders once the entry is dropped, or once the navigation that
+ * used it is superseded.
+ */
+
 // ----------
 /** A client-side router for building dynamic web applications.
  *
@@ -87,6 +109,21 @@ export class Router extends EventTarget {
   #maxRedirects;
   /** @type {RouterInternalState} */
   #internalState;
+  /** @type {AbortController | null} */
+  #loaderController = null;
+  /** @type {MatchResult<ComponentOrComponentLoader> | null} */
+  #currentMatch = null;
+  #navigation = Cell.source(/** @type {NavigationState} */ ('idle'));
+  #navigationId = 0;
+  /** @type {ScrollRestorer | null} */
+  #scroll;
+  /** @type {Set<NavigationBlocker>} */
+  #blockers = new Set();
+  /** @type {Map<string, PrefetchEntry>} */
+  #prefetches = new Map();
+  /** The position of the current entry in the browser's history. */
+  #historyIndex = 0;
+  #restoringEntry = false;
 
   /**
    * Determines whether view transitions are enabled for route changes.
@@ -95,8 +132,15 @@ export class Router extends EventTarget {
    * @type {boolean}
    */
   useViewTransitions;
+  /**
+   * When links load the code and data of their routes ahead of being
+   * clicked, unless they set `prefetch` themselves.
+   * @type {PrefetchStrategy}
+   */
+  defaultPrefetch;
   Outlet = Outlet;
   Link = Link;
+  Form = Form;
 
   get isNavigating() {
     return this.#isNavigating;
@@ -109,7 +153,12 @@ export class Router extends EventTarget {
     this.#stackMode = routeOptions.stackMode ?? false;
     this.#maxRedirects = routeOptions.maxRedirects ?? 100;
     this.useViewTransitions = routeOptions.useViewTransitions ?? false;
+    this.defaultPrefetch = routeOptions.defaultPrefetch ?? 'none';
     this.#middlewares = routeOptions.middlewares ?? [];
+    const { scrollBehavior } = routeOptions;
+    this.#scroll = scrollBehavior
+      ? new ScrollRestorer(scrollBehavior === true ? 'auto' : scrollBehavior)
+      : null;
     this.#internalState = { metadata: new Map(), routeChain: Cell.source([]) };
     const initialPath = /** @type {RouteData} */ ({
       name: null,
@@ -124,9 +173,14 @@ export class Router extends EventTarget {
     this.navigate = this.navigate.bind(this);
     this.replace = this.replace.bind(this);
     this.back = this.back.bind(this);
+    this.submit = this.submit.bind(this);
+    this.revalidate = this.revalidate.bind(this);
     this.lock = this.lock.bind(this);
     this.unlock = this.unlock.bind(this);
     this.getCurrentRoute = this.getCurrentRoute.bind(this);
+    this.registerScrollContainer = this.registerScrollContainer.bind(this);
+    this.addBlocker = this.addBlocker.bind(this);
+    this.prefetch = this.prefetch.bind(this);
     this.#windowEventHandler = this.#windowEventHandler.bind(this);
     this.attachWindowListeners = this.attachWindowListeners.bind(this);
   }
@@ -201,7 +255,16 @@ export class Router extends EventTarget {
       to: targetPath,
     };
     for (const middleware of this.#middlewares) {
-      const middlewareResponse = await middleware.callback(middlewareArgs);
+      let middlewareResponse;
+      try {
+        middlewareResponse = await middleware.callback(middlewareArgs);
+      } catch (error) {
+        // A failing middleware cancels the navigation.
+        reportError(error, { phase: 'middleware' });
+        const cause = error instanceof Error ? error : new Error(String(error));
+        this.dispatchEvent(new RouteErrorEvent({ error: cause }));
+        return;
+      }
       if (middlewareResponse instanceof RouterMiddlewareResponse) {
         if (middlewareResponse.type === 'redirect') {
           // Block deep redirects
@@ -242,6 +305,7 @@ export class Router extends EventTarget {
    * @param {boolean} [options.navigate]
    * @param {boolean} [options.replace]
    * @param {boolean} [options.forceLoad]
+   * @returns {Promise<boolean>} `false` if a blocker cancelled the navigation.
    */
   async #load(options) {
     const { rawPath, forceLoad, navigate, replace } = options;
@@ -251,15 +315,17 @@ export class Router extends EventTarget {
         attemptedPath: rawPath,
       });
       this.dispatchEvent(event);
-      await this.#load({ ...options, rawPath: this.#lock });
-      return;
+      return this.#load({ ...options, rawPath: this.#lock });
     }
-    if (rawPath === '#') return;
+    if (rawPath === '#') return true;
 
     const [pathRoot, pathQuery] = rawPath.split('?');
     let path = pathRoot.endsWith('.html') ? pathRoot.slice(0, -5) : pathRoot;
     if (pathQuery) path += `?${pathQuery}`;
-    if (this.#currentPath.get()?.fullPath === path && !forceLoad) return;
+    if (this.#currentPath.get()?.fullPath === path && !forceLoad) return true;
+    // Redirects continue a navigation that the blockers have allowed.
+    const isRedirect = this.#redirectStackCount > 0;
+    if (!isRedirect && !(await this.#confirmNavigation(path))) return false;
 
     const oldHistoryLength = this.#history.length;
     const transitionTypes = /** @type {string[]} */ ([]);
@@ -268,7 +334,7 @@ export class Router extends EventTarget {
     const to = path;
     const beforeEvent = new BeforeNavigateEvent({ from, to });
     this.dispatchEvent(beforeEvent);
-    if (beforeEvent.defaultPrevented) return;
+    if (beforeEvent.defaultPrevented) return true;
 
     const callback = async () => {
       const wasLoaded = await this.#update(path, replace, transitionTypes);
@@ -285,6 +351,69 @@ export class Router extends EventTarget {
     };
 
     await this.#startTransition(callback, transitionTypes);
+    return true;
+  }
+
+  /**
+   * Asks the blockers whether the current route can be left for a path.
+   *
+   * @param {string} path
+   * @returns {Promise<boolean>}
+   */
+  async #confirmNavigation(path) {
+    if (this.#blockers.size === 0) return true;
+    const from = this.#currentPath.get();
+    // Nothing has been rendered yet.
+    if (!from.fullPath) return true;
+
+    const matchResult = await this.#routeTree.match(path);
+    const target = matchResult.leaf();
+    // Paths that match nothing are reported by #update.
+    if (target === null) return true;
+    const to = {
+      name: target.name,
+      path: constructURL(target.path, matchResult, false),
+      params: matchResult.params,
+      query: matchResult.searchQueryParams,
+      fullPath: constructURL(target.path, matchResult),
+      metadata: matchResult.metadata,
+      hash: matchResult.hash,
+    };
+    for (const blocker of this.#blockers) {
+      try {
+        if (!(await blocker({ from, to }))) return false;
+      } catch (error) {
+        // A failing blocker cancels the navigation, like a middleware.
+        reportError(error, { phase: 'blocker' });
+        const cause = error instanceof Error ? error : new Error(String(error));
+        this.dispatchEvent(new RouteErrorEvent({ error: cause }));
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether the blockers let the page unload. Unloading cannot wait,
+   * so a blocker that returns a promise keeps the page.
+   */
+  #confirmUnload() {
+    const from = this.#currentPath.get();
+    for (const blocker of this.#blockers) {
+      let result;
+      try {
+        result = blocker({ from, to: null });
+      } catch (error) {
+        reportError(error, { phase: 'blocker' });
+        return false;
+      }
+      if (result !== true) {
+        // Rejections of a promise that is not waited for are not reported.
+        if (result instanceof Promise) result.catch(() => {});
+        return false;
+      }
+    }
+    return true;
   }
 
   #getCurrentPath() {
@@ -304,12 +433,20 @@ export class Router extends EventTarget {
    * that Outlets can easily access by depth index.
    *
    * @param {MatchResult<ComponentOrComponentLoader>} matchResult
+   * @param {PrefetchEntry} [prefetched]
+   * Prefetched loader results to use instead of running the loaders again.
    * @returns {Promise<{ chain: RouteLevel[], metadata: Map<string, any> }>}
    */
-  async #flattenRouteChain(matchResult) {
+  async #flattenRouteChain(matchResult, prefetched) {
     const chain = [];
     const unwrapPromises = [];
     let route = matchResult.subTree;
+    this.#loaderController?.abort();
+    const { signal } = (this.#loaderController = new AbortController());
+    if (prefetched) {
+      const { controller } = prefetched;
+      signal.addEventListener('abort', () => controller.abort());
+    }
 
     for (let i = 0; route !== null; i++) {
       const currentRoute = route;
@@ -318,6 +455,10 @@ export class Router extends EventTarget {
         continue;
       }
 
+      const data = currentRoute.loader
+        ? (prefetched?.data[i] ??
+          this.#runLoader(currentRoute.loader, matchResult, signal))
+        : undefined;
       if (currentRoute.component instanceof Lazy) {
         unwrapPromises.push(
           currentRoute.component.unwrap().then((component) => {
@@ -325,6 +466,7 @@ export class Router extends EventTarget {
             chain[i] = {
               path: constructURL(currentRoute.path, matchResult, false),
               component,
+              data,
             };
           })
         );
@@ -332,6 +474,7 @@ export class Router extends EventTarget {
         chain[i] = {
           path: constructURL(currentRoute.path, matchResult, false),
           component: currentRoute.component,
+          data,
         };
       }
 
@@ -346,6 +489,27 @@ export class Router extends EventTarget {
     };
   }
 
+  /**
+   * @param {RouteLoader} loader
+   * @param {MatchResult<ComponentOrComponentLoader>} matchResult
+   * @param {AbortSignal} signal
+   * @returns {Promise<unknown>}
+   */
+  #runLoader(loader, matchResult, signal) {
+    const data = new Promise((resolve) => {
+      resolve(
+        loader({
+          params: matchResult.params,
+          query: matchResult.searchQueryParams,
+          signal,
+        })
+      );
+    });
+    // Failures surface where the data is read, through `useLoaderData`.
+    data.catch(() => {});
+    return data;
+  }
+
   /**
    * Discerns the direction of navigation based on the current stack.
    *
@@ -391,6 +555,24 @@ export class Router extends EventTarget {
     } else this.#history.push(targetPath);
   }
 
+  /**
+   * Sets the navigation state, until the returned function is called and the
+   * loaders of the current routes have settled.
+   *
+   * @param {NavigationState} state
+   * @returns {() => Promise<void>}
+   */
+  #beginNavigation(state) {
+    const id = ++this.#navigationId;
+    this.#navigation.set(state);
+    return async () => {
+      const chain = this.#internalState.routeChain.get();
+      await Promise.allSettled(chain.map((level) => level.data));
+      // A later navigation owns the state.
+      if (id === this.#navigationId) this.#navigation.set('idle');
+    };
+  }
+
   /** @param {string} message */
   #logError(message) {
     console.warn(message);
@@ -468,7 +650,12 @@ export class Router extends EventTarget {
       return false;
     }
 
-    const { chain, metadata } = await this.#flattenRouteChain(result);
+    const { chain, metadata } = await this.#flattenRouteChain(
+      result,
+      this.#takePrefetched(path)
+    );
+    this.#currentMatch = result;
+    this.#scroll?.save();
     Cell.batch(() => {
       const fullPath = constructURL(target.path, result);
       this.#currentPath.set({
@@ -524,10 +711,12 @@ export class Router extends EventTarget {
   async navigate(path, options) {
     if (!this.#assertNotLocked(path)) return;
     this.#isNavigating = true;
+    const finish = this.#beginNavigation('loading');
     try {
       await this.#load({ rawPath: path, navigate: true, ...options });
     } finally {
       this.#isNavigating = false;
+      finish();
     }
   }
 
@@ -574,6 +763,7 @@ export class Router extends EventTarget {
     const lastPath = this.#history[this.#history.length - 2];
     if (!lastPath) return;
     if (!this.#assertNotLocked(lastPath)) return;
+    if (!(await this.#confirmNavigation(lastPath))) return;
     this.#isNavigating = true;
     try {
       const oldHistoryLength = this.#history.length;
@@ -616,6 +806,199 @@ export class Router extends EventTarget {
     }
   }
 
+  /**
+   * Submits form data to the action of a route, and then runs the loaders of
+   * the current routes again so that they show the changes it made. If the
+   * action returns `redirect(path)`, the router navigates to the path
+   * instead.
+   *
+   * This is what `Form` calls when it is submitted.
+   *
+   * @example
+   * ```tsx
+   * const formData = new FormData();
+   * formData.set('title', 'New post');
+   * await router.submit(formData, { action: '/posts/new' });
+   * ```
+   *
+   * @param {FormData} formData
+   * @param {SubmitOptions} [options]
+   * @returns {Promise<void>} A promise that resolves when the action and the
+   * navigation or loaders after it are done.
+   */
+  async submit(formData, options = {}) {
+    const { replace } = options;
+    const path = options.action ?? this.#currentPath.get().fullPath;
+    const matchResult = await this.#routeTree.match(path);
+    const action = matchResult.leaf()?.action;
+    if (!action) {
+      this.#logError(`No action handles submissions to path: ${path}`);
+      return;
+    }
+
+    const finish = this.#beginNavigation('submitting');
+    try {
+      let response;
+      try {
+        response = await action({
+          formData,
+          params: matchResult.params,
+          query: matchResult.searchQueryParams,
+        });
+      } catch (error) {
+        reportError(error, { phase: 'action' });
+        const cause = error instanceof Error ? error : new Error(String(error));
+        this.dispatchEvent(new RouteErrorEvent({ error: cause }));
+        return;
+      }
+      // The action may have changed what prefetched loaders returned.
+      for (const entry of this.#prefetches.values()) entry.controller.abort();
+      this.#prefetches.clear();
+      if (
+        response instanceof RouterMiddlewareResponse &&
+        response.type === 'redirect'
+      ) {
+        await this.navigate(response.path, { replace });
+        return;
+      }
+      this.#navigation.set('loading');
+      await this.revalidate();
+    } finally {
+      finish();
+    }
+  }
+
+  /**
+   * Runs the loaders of the current routes again, such as after the data
+   * they load has changed. The routes stay rendered, and their
+   * `useLoaderData` cells update once the new data has loaded.
+   *
+   * @returns {Promise<void>} A promise that resolves when the loaders have
+   * settled.
+   */
+  async revalidate() {
+    if (!this.#currentMatch) return;
+    const { chain } = await this.#flattenRouteChain(this.#currentMatch);
+    this.#internalState.routeChain.set(chain);
+    await Promise.allSettled(chain.map((level) => level.data));
+  }
+
+  /**
+   * Loads what a path needs ahead of navigating to it: the code of its lazy
+   * routes and components, and the data of its loaders. A navigation to the
+   * path soon after then renders without waiting for them.
+   *
+   * Repeated calls for a path share the first one's work while its data is
+   * fresh. Nothing is loaded for external URLs, or when the user has asked
+   * the browser to save data.
+   *
+   * @example
+   * ```tsx
+   * router.prefetch('/users/42');
+   * ```
+   *
+   * @param {string} path
+   * @returns {Promise<void>} A promise that resolves when the path has been
+   * loaded. Failures are ignored, and left for the navigation to report.
+   */
+  async prefetch(path) {
+    if (URL.canParse(path) || path.startsWith('#')) return;
+    const navigator = /** @type {any} */ (globalThis.navigator);
+    if (navigator?.connection?.saveData) return;
+
+    const key = path.split('#')[0];
+    const cached = this.#prefetches.get(key);
+    if (cached && cached.expires > Date.now()) return cached.ready;
+    cached?.controller.abort();
+
+    /** @type {PrefetchEntry} */
+    const entry = {
+      ready: Promise.resolve(),
+      data: [],
+      expires: Date.now() + PREFETCH_LIFETIME,
+      controller: new AbortController(),
+    };
+    entry.ready = this.#warm(key, entry).catch(() => {
+      this.#dropPrefetch(key, entry);
+    });
+    this.#prefetches.set(key, entry);
+    return entry.ready;
+  }
+
+  /**
+   * Removes a prefetched entry, if it is still the one for its path, and
+   * aborts its loaders.
+   *
+   * @param {string} key
+   * @param {PrefetchEntry} entry
+   */
+  #dropPrefetch(key, entry) {
+    entry.controller.abort();
+    if (this.#prefetches.get(key) === entry) this.#prefetches.delete(key);
+  }
+
+  /**
+   * @param {string} path
+   * @param {PrefetchEntry} entry
+   */
+  async #warm(path, entry) {
+    const matchResult = await this.#routeTree.match(path);
+    const { signal } = entry.controller;
+    const components = [];
+    let route = matchResult.subTree;
+    for (let i = 0; route !== null; i++, route = route.child) {
+      if (!route.component) continue;
+      if (route.loader) {
+        const data = this.#runLoader(route.loader, matchResult, signal);
+        // Failed data is loaded again by the navigation.
+        data.catch(() => this.#dropPrefetch(path, entry));
+        entry.data[i] = data;
+      }
+      if (route.component instanceof Lazy) {
+        components.push(route.component.preload());
+      }
+    }
+    await Promise.all(components);
+  }
+
+  /**
+   * Returns what was prefetched for a path, if it is still fresh. It is only
+   * used once.
+   *
+   * @param {string} path
+   * @returns {PrefetchEntry | undefined}
+   */
+  #takePrefetched(path) {
+    const key = path.split('#')[0];
+    const entry = this.#prefetches.get(key);
+    if (!entry) return undefined;
+    this.#prefetches.delete(key);
+    if (entry.expires > Date.now()) return entry;
+    entry.controller.abort();
+    return undefined;
+  }
+
+  /**
+   * Returns a reactive cell with what the router is doing: `idle`,
+   * `submitting` a form, or `loading` a route.
+   *
+   * @returns {Cell<NavigationState>}
+   */
+  getNavigation() {
+    return Cell.derived(() => this.#navigation.get());
+  }
+
+  /**
+   * Waits for the loaders of the current route to settle, such as before a
+   * page rendered on the server is serialized.
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForLoaders() {
+    const chain = this.#internalState.routeChain.get();
+    await Promise.allSettled(chain.map((level) => level.data));
+  }
+
   /**
    * Returns a reactive cell that contains the current route data.
    */
@@ -647,21 +1030,79 @@ export class Router extends EventTarget {
 
   /** @param {Event} event */
   #windowEventHandler = async (event) => {
-    if (this.#isNavigating) return;
     const window = /** @type {Window} */ (event.currentTarget);
+    const isPopState = event.type === 'popstate';
+    if (isPopState && this.#restoringEntry) {
+      // The browser has returned from an entry the blockers kept it from.
+      this.#restoringEntry = false;
+      return;
+    }
+    const from = this.#historyIndex;
+    const to = isPopState ? this.#entryIndex(window, from + 1) : from;
+    if (this.#isNavigating) {
+      // `back()` moves the browser history after its route has rendered.
+      if (isPopState) {
+        this.#historyIndex = to;
+        this.#scroll?.restore();
+      }
+      return;
+    }
     this.#isNavigating = true;
+    let allowed;
     try {
       const path = getFullPath(window);
-      await this.#load({ rawPath: path, navigate: false });
+      allowed = await this.#load({ rawPath: path, navigate: false });
     } finally {
       this.#isNavigating = false;
     }
+    if (!allowed) {
+      // The browser has already moved to the blocked entry, so it is sent
+      // back by as many entries, keeping the ones on either side.
+      if (to !== from) {
+        this.#restoringEntry = true;
+        window.history.go(from - to);
+      }
+      return;
+    }
+    if (isPopState) {
+      this.#historyIndex = to;
+      this.#scroll?.restore();
+    } else if (event.type !== 'hashchange' && window.location.hash) {
+      this.#scroll?.reveal(this.#currentPath.get().hash);
+    }
   };
 
+  /**
+   * Returns the position stored in the state of the browser's current
+   * history entry, storing the given one if it has none.
+   *
+   * @param {Window} window
+   * @param {number} fallback
+   * @returns {number}
+   */
+  #entryIndex(window, fallback) {
+    const { state } = window.history;
+    if (state && typeof state === 'object' && typeof state.index === 'number') {
+      return state.index;
+    }
+    // The entry was created by the browser, such as for a link to a fragment
+    // of the page, or before the router was attached.
+    const base = state && typeof state === 'object' ? state : {};
+    window.history.replaceState({ ...base, index: fallback }, '');
+    return fallback;
+  }
+
   /** @param {Window} window */
   attachWindowListeners = (window) => {
     const handleRoutePrevented = () => {
-      window.history.replaceState({}, '', this.#lock);
+      window.history.replaceState(window.history.state, '', this.#lock);
+    };
+    /** @param {BeforeUnloadEvent} event */
+    const handleBeforeUnload = (event) => {
+      if (this.#confirmUnload()) return;
+      event.preventDefault();
+      // Older browsers only ask when a return value is set.
+      event.returnValue = '';
     };
     /** @param {RouteLoadCompletedEvent} event */
     const handleRouteLoadCompleted = (event) => {
@@ -683,8 +1124,19 @@ export class Router extends EventTarget {
 
       const nextPath = fullPath;
       if (replace || newHistoryLength === oldHistoryLength) {
-        window.history?.replaceState(null, '', nextPath);
-      } else window.history?.pushState(null, '', nextPath);
+        const state = {
+          ...this.#scroll?.currentEntry(),
+          index: this.#historyIndex,
+        };
+        window.history?.replaceState(state, '', nextPath);
+      } else {
+        const state = {
+          ...this.#scroll?.createEntry(),
+          index: ++this.#historyIndex,
+        };
+        window.history?.pushState(state, '', nextPath);
+      }
+      this.#scroll?.reveal(this.#currentPath.get().hash);
     };
 
     if (
@@ -704,19 +1156,69 @@ export class Router extends EventTarget {
     window?.addEventListener('hashchange', this.#windowEventHandler);
     window?.addEventListener('load', this.#windowEventHandler);
     window?.addEventListener('DOMContentLoaded', this.#windowEventHandler);
+    window?.addEventListener('beforeunload', handleBeforeUnload);
     this.addEventListener('routelockprevented', handleRoutePrevented);
     this.addEventListener('routeloadcompleted', handleRouteLoadCompleted);
+    this.#historyIndex = this.#entryIndex(window, 0);
+    const detachScroll = this.#scroll?.attach(window);
 
     return () => {
+      detachScroll?.();
       window?.removeEventListener('popstate', this.#windowEventHandler);
       window?.removeEventListener('hashchange', this.#windowEventHandler);
       window?.removeEventListener('load', this.#windowEventHandler);
       window?.removeEventListener('DOMContentLoaded', this.#windowEventHandler);
+      window?.removeEventListener('beforeunload', handleBeforeUnload);
       this.removeEventListener('routelockprevented', handleRoutePrevented);
       this.removeEventListener('routeloadcompleted', handleRouteLoadCompleted);
     };
   };
 
+  /**
+   * Registers an element whose scroll position the router saves and restores
+   * along with the window's, when it is created with `scrollBehavior`. The
+   * name identifies the container across history entries, since the element
+   * itself may be rendered again.
+   *
+   * @example
+   * ```tsx
+   * function Sidebar() {
+   *   const router = useRouter();
+   *   const list = Cell.source<HTMLElement | null>(null);
+   *   onSetup(() => router.registerScrollContainer('sidebar', list.get()!));
+   *   return <nav ref={list}>...</nav>;
+   * }
+   * ```
+   *
+   * @param {string} name
+   * @param {HTMLElement} element
+   * @returns {() => void} A function that unregisters the element.
+   */
+  registerScrollContainer(name, element) {
+    return this.#scroll?.register(name, element) ?? (() => {});
+  }
+
+  /**
+   * Adds a blocker that is asked before the router leaves the current route,
+   * whether through `navigate()`, `back()`, a link or the browser's back and
+   * forward buttons. It can wait for an async dialog before deciding. When
+   * the page is about to unload, it is called with `to` set to `null`, and
+   * must decide right away; anything but `true` makes the browser ask the
+   * user to confirm instead.
+   *
+   * Components usually add blockers with `useBlocker`, which removes them
+   * when the component is disposed.
+   *
+   * @param {NavigationBlocker} blocker
+   * @returns {() => void} A function that removes the blocker.
+   */
+  addBlocker(blocker) {
+    this.#blockers.add(blocker);
+    return () => {
+      this.#blockers.delete(blocker);
+    };
+  }
+
   /**
    * Locks the router to the current route. Blocks navigation attempts handled *internally*
    * (e.g., `router.navigate()`, `<Link>` clicks, internal `popstate` events).
@@ -813,6 +1315,104 @@ export function useCurrentRoute() {
   return router.getCurrentRoute();
 }
 
+/**
+ * A hook that returns the data loaded by the `loader` of the route whose
+ * component is rendering.
+ *
+ * The data is an async cell, so an `Await` boundary around the component
+ * shows its fallback until the data has loaded. The cell updates when the
+ * route is loaded again, such as when its params change.
+ *
+ * @template [T=unknown]
+ * @returns {AsyncCell<T>}
+ * @throws {Error} If `useLoaderData` is called outside of a `RouterProvider`.
+ *
+ * @example
+ * ```tsx
+ * const routes = defineRoutes([
+ *   {
+ *     path: '/users/:id',
+ *     component: UserPage,
+ *     loader: ({ params, signal }) =>
+ *       fetch(`/api/users/${params.get('id')}`, { signal }).then((r) =>
+ *         r.json()
+ *       ),
+ *   },
+ * ]);
+ *
+ * function UserPage() {
+ *   const user = useLoaderData<User>();
+ *   const name = Cell.derivedAsync(async (get) => (await get(user)).name);
+ *   return <h1>{name}</h1>;
+ * }
+ * ```
+ */
+export function useLoaderData() {
+  const { depth, internalState } = useScopeContext(RouterScope);
+  // Route components render one level below the outlet that renders them.
+  return Cell.derivedAsync(async (get) => {
+    const level = get(internalState.routeChain)[depth - 1];
+    return /** @type {any} */ (await level?.data);
+  });
+}
+
+/**
+ * A hook that returns a reactive {@link Cell} with what the router is doing:
+ * `idle`, `submitting` a form, or `loading` a route, to show pending states
+ * such as a disabled submit button.
+ *
+ * @returns {Cell<NavigationState>}
+ * @throws {Error} If `useNavigation` is called outside of a `RouterProvider`.
+ *
+ * @example
+ * ```tsx
+ * function SaveButton() {
+ *   const navigation = useNavigation();
+ *   const saving = Cell.derived(() => navigation.get() === 'submitting');
+ *   return (
+ *     <button type="submit" disabled={saving}>
+ *       Save
+ *     </button>
+ *   );
+ * }
+ * ```
+ */
+export function useNavigation() {
+  const { router } = useScopeContext(RouterScope);
+  return router.getNavigation();
+}
+
+/**
+ * A hook that asks before the router leaves the current route, for as long
+ * as the component is rendered. The blocker receives the route being left
+ * and the one being navigated to, and returns whether to go ahead, or a
+ * promise for it, such as the answer to a confirmation dialog.
+ *
+ * When the page is about to unload, `to` is `null` and the answer must be
+ * given right away, so the browser's own confirmation is shown unless the
+ * blocker returns `true`.
+ *
+ * @param {NavigationBlocker} blocker
+ * @throws {Error} If `useBlocker` is called outside of a `RouterProvider`.
+ *
+ * @example
+ * ```tsx
+ * function Editor() {
+ *   const hasChanges = Cell.source(false);
+ *   useBlocker(({ to }) => {
+ *     if (!hasChanges.get()) return true;
+ *     if (to === null) return false;
+ *     return confirmDialog('Discard your changes?');
+ *   });
+ *   // ...
+ * }
+ * ```
+ */
+export function useBlocker(blocker) {
+  const { router } = useScopeContext(RouterScope);
+  onSetup(() => router.addBlocker(blocker));
+}
+
 /**
  * Provides the router instance to the component tree.
  *
@@ -899,6 +1499,9 @@ export function Outlet(props) {
  * <Link href="/contact" class="button">
  *   Contact Us
  * </Link>
+ *
+ * // Load the route's code and data when the link is hovered
+ * <Link href="/reports" prefetch="hover">Reports</Link>
  * ```
  */
 export function Link(props = {}) {
@@ -912,9 +1515,49 @@ export function Link(props = {}) {
     console.error('active attribute is reserved for router.');
   }
   const { href: hrefProp, replace } = props;
+  const prefetch = props.prefetch ?? router.defaultPrefetch;
   const href = Cell.derived(() => {
     return Cell.isCell(hrefProp) ? hrefProp.get() : hrefProp;
   });
+  // The anchor is watched for signs that it is about to be followed.
+  const { ref } = /** @type {{ ref?: Cell<HTMLElement | null> }} */ (props);
+  const anchorRef = ref ?? Cell.source(null);
+
+  onSetup(() => {
+    const warm = () => {
+      const hrefValue = href.get();
+      if (hrefValue) router.prefetch(hrefValue);
+    };
+    if (prefetch === 'none') return;
+    if (prefetch === 'render') {
+      warm();
+      return;
+    }
+    const anchor = anchorRef.get();
+    if (!anchor) return;
+
+    if (prefetch === 'viewport') {
+      if (typeof IntersectionObserver === 'undefined') return;
+      const observer = new IntersectionObserver((entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return;
+        observer.disconnect();
+        warm();
+      });
+      observer.observe(anchor);
+      return () => observer.disconnect();
+    }
+
+    const events =
+      prefetch === 'intent'
+        ? ['mouseenter', 'focus', 'touchstart']
+        : ['mouseenter'];
+    for (const type of events) {
+      anchor.addEventListener(type, warm, { passive: true });
+    }
+    return () => {
+      for (const type of events) anchor.removeEventListener(type, warm);
+    };
+  });
   const active = Cell.derived(() => {
     const hrefValue = href.get();
     const { fullPath } = currentRoute.get();
@@ -956,7 +1599,72 @@ export function Link(props = {}) {
   };
   props.active = active;
 
-  return h('a', props, ...IgnoredHProps);
+  // `prefetch` and `replace` are only meant for the router.
+  const anchorProps = { ...props, ref: anchorRef };
+  delete anchorProps.prefetch;
+  delete anchorProps.replace;
+  return h('a', anchorProps, ...IgnoredHProps);
+}
+
+/**
+ * Defines a form that submits its data to the action of a route, without
+ * reloading the page. The action runs with the data, and then the loaders of
+ * the current routes run again.
+ *
+ * The form is rendered as a plain `<form>` with its `action` and `method`,
+ * so that it can still be submitted to the server in pages that are
+ * generated ahead of time, before scripts have loaded.
+ *
+ * An `onSubmit` handler runs first, and can stop the router from submitting
+ * the form by calling `event.preventDefault()`, such as when the data is not
+ * valid.
+ *
+ * @param {RouterFormProps} [props] - The component props.
+ * @returns {JSX.Template} The rendered form element.
+ *
+ * @example
+ * ```tsx
+ * const routes = defineRoutes([
+ *   {
+ *     path: '/todos',
+ *     component: Todos,
+ *     loader: () => api.getTodos(),
+ *     action: ({ formData }) => api.addTodo(formData.get('title')),
+ *   },
+ * ]);
+ *
+ * function NewTodo() {
+ *   return (
+ *     <Form>
+ *       <input name="title" />
+ *       <button type="submit">Add</button>
+ *     </Form>
+ *   );
+ * }
+ * ```
+ */
+export function Form(props = {}) {
+  const router = useRouter();
+  const { replace, action, onSubmit: userOnSubmit, ...rest } = props;
+
+  /**
+   * @this {HTMLFormElement}
+   * @param {SubmitEvent} event
+   */
+  const onSubmit = function (event) {
+    if (typeof userOnSubmit === 'function') userOnSubmit.call(this, event);
+    if (event.defaultPrevented) return;
+    event.preventDefault();
+    const form = /** @type {HTMLFormElement} */ (event.currentTarget);
+    const formData = new FormData(form, event.submitter);
+    const path = Cell.isCell(action) ? action.get() : action;
+    router.submit(formData, { action: path, replace });
+  };
+
+  /** @type {Record<string, unknown>} */
+  const formProps = { method: 'post', ...rest, onSubmit };
+  if (action !== undefined) formProps.action = action;
+  return h('form', formProps, ...IgnoredHProps);
 }
 
 /**
@@ -1011,6 +1719,7 @@ export function createRouterRoot(router) {
 
 // Type Re-exports
 /** @typedef {RouterLinkProps} RouterLinkProps */
+/** @typedef {RouterFormProps} RouterFormProps */
 /** @typedef {RouterOutletProps} RouterOutletProps */
 /** @typedef {RouteRecord} RouteRecord */
 /** @typedef {RouteRecord[]} RouteRecords */
@@ -0,0 +1,175 @@
+/**
+ * @typedef ScrollPosition
+ * @property {number} left
+ * @property {number} top
+ */
+
+/** The name under which the scroll position of the window is saved. */
+const WINDOW = 'window';
+
+let keyCount = 0;
+const createKey = () => `${Date.now().toString(36)}-${keyCount++}`;
+
+/**
+ * @param {unknown} state
+ * @returns {string | null}
+ */
+const readKey = (state) =>
+  state && typeof state === 'object' && 'key' in state
+    ? String(state.key)
+    : null;
+
+/**
+ * Saves the scroll positions of the window and registered containers for
+ * each history entry, and puts them back when the entry is returned to.
+ *
+ * Entries are told apart by a key stored in their `history.state`.
+ */
+export class ScrollRestorer {
+  /** @type {Window | null} */
+  #window = null;
+  /** @type {string | null} */
+  #key = null;
+  /** @type {ScrollBehavior} */
+  #behavior;
+  /** @type {Map<string, HTMLElement>} */
+  #containers = new Map();
+  /** @type {Map<string, Map<string, ScrollPosition>>} */
+  #positions = new Map();
+
+  /** @param {ScrollBehavior} behavior */
+  constructor(behavior) {
+    this.#behavior = behavior;
+  }
+
+  /**
+   * Takes over scroll restoration from the browser.
+   *
+   * @param {Window} window
+   * @returns {() => void} A function that gives it back.
+   */
+  attach(window) {
+    const { history } = window;
+    this.#window = window;
+    this.#key = readKey(history.state) ?? this.#stamp(history);
+    const previous = history.scrollRestoration;
+    history.scrollRestoration = 'manual';
+    return () => {
+      history.scrollRestoration = previous;
+      this.#window = null;
+    };
+  }
+
+  /**
+   * Registers an element whose scroll position is saved along with the
+   * window's. Its saved position for the current entry is applied right away,
+   * since the element may only be rendered after the entry was restored.
+   *
+   * @param {string} name
+   * @param {HTMLElement} element
+   * @returns {() => void} A function that unregisters the element.
+   */
+  register(name, element) {
+    this.#containers.set(name, element);
+    const position = this.#key && this.#positions.get(this.#key)?.get(name);
+    if (position) element.scrollTo({ ...position, behavior: 'instant' });
+    return () => {
+      if (this.#containers.get(name) === element) this.#containers.delete(name);
+    };
+  }
+
+  /** Saves the scroll positions of the current entry, before it is left. */
+  save() {
+    const window = this.#window;
+    if (!window || !this.#key) return;
+    /** @type {Map<string, ScrollPosition>} */
+    const positions = new Map();
+    positions.set(WINDOW, { left: window.scrollX, top: window.scrollY });
+    for (const [name, element] of this.#containers) {
+      positions.set(name, { left: element.scrollLeft, top: element.scrollTop });
+    }
+    this.#positions.set(this.#key, positions);
+  }
+
+  /**
+   * Returns the state for a new history entry.
+   *
+   * @returns {{ key: string }}
+   */
+  createEntry() {
+    this.#key = createKey();
+    return { key: this.#key };
+  }
+
+  /**
+   * Returns the state that keeps the current entry's key when it is
+   * replaced.
+   *
+   * @returns {{ key: string } | null}
+   */
+  currentEntry() {
+    return this.#key ? { key: this.#key } : null;
+  }
+
+  /**
+   * Scrolls to the positions saved for the history entry that was returned
+   * to, or to the top of the page if there are none.
+   */
+  restore() {
+    const window = this.#window;
+    if (!window) return;
+    const key = readKey(window.history.state);
+    if (key === null) {
+      // The browser created the entry, such as for a link to a fragment of
+      // the page, and has already scrolled it.
+      this.#key = this.#stamp(window.history);
+      return;
+    }
+    this.#key = key;
+    const positions = this.#positions.get(key);
+    const top = { left: 0, top: 0 };
+    window.scrollTo({
+      ...(positions?.get(WINDOW) ?? top),
+      behavior: 'instant',
+    });
+    for (const [name, element] of this.#containers) {
+      const position = positions?.get(name) ?? top;
+      element.scrollTo({ ...position, behavior: 'instant' });
+    }
+  }
+
+  /**
+   * Gives the current history entry a key.
+   *
+   * @param {History} history
+   * @returns {string}
+   */
+  #stamp(history) {
+    const key = createKey();
+    const { state } = history;
+    const base = state && typeof state === 'object' ? state : {};
+    history.replaceState({ ...base, key }, '');
+    return key;
+  }
+
+  /**
+   * Scrolls a new page to the element its hash points to, or to the top.
+   *
+   * @param {string | null} hash The hash of the URL, without the `#`.
+   */
+  reveal(hash) {
+    const window = this.#window;
+    if (!window) return;
+    const target = hash
+      ? window.document.getElementById(decodeURIComponent(hash))
+      : null;
+    if (target) {
+      target.scrollIntoView({ behavior: this.#behavior });
+      return;
+    }
+    window.scrollTo({ left: 0, top: 0, behavior: 'instant' });
+    for (const element of this.#containers.values()) {
+      element.scrollTo({ left: 0, top: 0, behavior: 'instant' });
+    }
+  }
+}
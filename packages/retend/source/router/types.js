@@ -1,7 +1,7 @@
 /** @import { JSX } from '../jsx-runtime/types.ts' */
 /** @import { Metadata, MetadataMap, RouteRecords as RouteRecordsRaw, RouteComponent } from './routeTree.js' */
 /** @import { Lazy } from './lazy.js'; */
-/** @import { RouterMiddleware } from './middleware.js'; */
+/** @import { RouterMiddleware, RouteData } from './middleware.js'; */
 /** @import { RouterNavigationEvent } from './events.js'; */
 /** @import { Router } from './router.js'; */
 /** @import { SourceCell } from '@adbl/cells'; */
@@ -13,11 +13,54 @@
  * Whether to replace the current history entry with the new path.
  */
 
+/**
+ * @typedef {Object} SubmitOptions
+ *
+ * @property {string} [action]
+ * The path of the route whose action handles the submission. Defaults to the
+ * current path.
+ *
+ * @property {boolean} [replace]
+ * Whether to replace the current history entry if the action redirects.
+ *
+ * @property {(this: HTMLFormElement, event: SubmitEvent) => void} [onSubmit]
+ * A callback that runs before the form is submitted to its action. Calling
+ * `event.preventDefault()` in it cancels the submission.
+ */
+
+/**
+ * @typedef {Object} BlockerArgs
+ *
+ * @property {RouteData} from
+ * The route that is being left.
+ *
+ * @property {RouteData | null} to
+ * The route that is being navigated to, or `null` if the page itself is
+ * being unloaded, such as when the tab is closed.
+ */
+
+/**
+ * Decides whether a navigation can go ahead. Returning `false`, or a promise
+ * that resolves to `false`, cancels it.
+ *
+ * @typedef {(args: BlockerArgs) => boolean | Promise<boolean>} NavigationBlocker
+ */
+
+/**
+ * What the router is doing:
+ * - `idle`: nothing.
+ * - `submitting`: running the action of a submitted form.
+ * - `loading`: loading a route, or running its loaders again after an action.
+ *
+ * @typedef {'idle' | 'submitting' | 'loading'} NavigationState
+ */
+
 /**
  * @typedef {{ metadata: Metadata }} RouteComponentArgs
  * @typedef {Lazy<RouteComponent> | RouteComponent} ComponentOrComponentLoader
  * @typedef {JSX.BaseContainerProps} RouterOutletProps
  * @typedef {JSX.LinkElementProps & ExtraLinkData} RouterLinkProps
+ * @typedef {JSX.FormElementProps & ExtraFormData} RouterFormProps
  * @typedef {RouteRecordsRaw<ComponentOrComponentLoader>} RouteRecords
  * @typedef {RouteRecords[number]} RouteRecord
  */
@@ -26,6 +69,19 @@
  * @typedef {Object} RouteLevel
  * @property {string} path
  * @property {RouteComponent} component
+ * @property {Promise<unknown>} [data]
+ * The result of the route's loader, if it has one.
+ */
+
+/**
+ * When a link loads what its route needs, ahead of being clicked:
+ * - `hover`: when the pointer moves over it.
+ * - `intent`: when it is hovered, focused or touched.
+ * - `viewport`: when it scrolls into view.
+ * - `render`: as soon as it is rendered.
+ * - `none`: never.
+ *
+ * @typedef {'hover' | 'intent' | 'viewport' | 'render' | 'none'} PrefetchStrategy
  */
 
 /**
@@ -34,6 +90,10 @@
  * @property {boolean} [replace]
  * Whether to replace the current history entry with the new path.
  *
+ * @property {PrefetchStrategy} [prefetch]
+ * When to load the code and data of the linked route, so that it renders
+ * right away when clicked. Defaults to the router's `defaultPrefetch`.
+ *
  * @property {JSX.ValueOrCell<(this: HTMLAnchorElement, event: RouterNavigationEvent) => void>} [onBeforeNavigate]
  * A callback function that is called before the navigation starts.
  * It receives a custom `RouterNavigationEvent` object as an argument.
@@ -43,6 +103,17 @@
  * It receives a custom `RouterNavigationEvent` object as an argument.
  */
 
+/**
+ * @typedef {Object} ExtraFormData
+ *
+ * @property {boolean} [replace]
+ * Whether to replace the current history entry if the action redirects.
+ *
+ * @property {(this: HTMLFormElement, event: SubmitEvent) => void} [onSubmit]
+ * A callback that runs before the form is submitted to its action. Calling
+ * `event.preventDefault()` in it cancels the submission.
+ */
+
 /**
  * @typedef {Object} RouterInternalState
  * @property {SourceCell<RouteLevel[]>} routeChain
@@ -68,6 +139,17 @@
  * @property {boolean} [useViewTransitions]
  * If set to `true`, the router will use browser view transitions when navigating between routes.
  *
+ * @property {PrefetchStrategy} [defaultPrefetch]
+ * When links load the code and data of their routes ahead of being clicked,
+ * unless they set `prefetch` themselves. Defaults to `'none'`.
+ *
+ * @property {boolean | ScrollBehavior} [scrollBehavior]
+ * If set, the router manages scrolling: it saves the scroll positions of each
+ * history entry and restores them on back and forward navigation, and scrolls
+ * new pages to the element their `#hash` points to, or to the top. The value
+ * is the behavior of scrolling to the hash, and `true` is the same as
+ * `'auto'`. Scroll containers other than the window can be registered with
+ * `router.registerScrollContainer()`.
  */
 
 /**
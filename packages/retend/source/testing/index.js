@@ -0,0 +1,547 @@
+/** @import { JSX } from '../jsx-runtime/types.ts' */
+/** @import { Renderer, ReconcilerOptions } from '../library/renderer.js' */
+/** @import { __HMR_UpdatableFn } from '../library/scope.js' */
+
+import { Cell, SourceCell } from '@adbl/cells';
+
+import { waitForAsyncBoundaries } from '../library/await.js';
+import { runPendingSetupEffects } from '../library/scope.js';
+import {
+  createNodesFromTemplate,
+  normalizeJsxChild,
+} from '../library/utils.js';
+
+/**
+ * @typedef TestRenderingTypes
+ * @property {TestNode} Node
+ * @property {TestText} Text
+ * @property {TestHandle} Handle
+ * @property {TestGroup} Group
+ * @property {TestElement} Container
+ * @property {EventTarget} Host
+ */
+
+/** @typedef {[TestMarker, TestMarker]} TestHandle */
+
+/**
+ * @typedef {string | {
+ *   tag: string,
+ *   props: Record<string, unknown>,
+ *   children: TestSnapshot[]
+ * }} TestSnapshot
+ */
+
+/** @typedef {string | ((node: TestNode) => boolean)} TestNodeMatcher */
+
+/**
+ * A node in the tree produced by {@link TestRenderer}.
+ */
+export class TestNode {
+  /** @type {TestNode | null} */
+  parent = null;
+  /** @type {TestNode[]} */
+  children = [];
+
+  /**
+   * The concatenated text of this node and its descendants.
+   * @returns {string}
+   */
+  get textContent() {
+    return this.children.map((child) => child.textContent).join('');
+  }
+
+  /** Detaches the node from its parent. */
+  remove() {
+    if (!this.parent) return;
+    const siblings = this.parent.children;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parent = null;
+  }
+
+  /**
+   * Returns every descendant matching a tag name or predicate, in tree order.
+   *
+   * @param {TestNodeMatcher} matcher
+   * @returns {TestNode[]}
+   */
+  findAll(matcher) {
+    const predicate =
+      typeof matcher === 'string'
+        ? (/** @type {TestNode} */ node) =>
+            node instanceof TestElement && node.tag === matcher
+        : matcher;
+    /** @type {TestNode[]} */
+    const matches = [];
+    /** @type {TestNode[]} */
+    const stack = this.children.toReversed();
+    while (stack.length) {
+      const node = /** @type {TestNode} */ (stack.pop());
+      if (predicate(node)) matches.push(node);
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push(node.children[i]);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Returns the first descendant matching a tag name or predicate, or `null`.
+   *
+   * @param {TestNodeMatcher} matcher
+   * @returns {TestNode | null}
+   */
+  find(matcher) {
+    return this.findAll(matcher)[0] ?? null;
+  }
+
+  /**
+   * Returns the deepest element whose text content is exactly `text`.
+   *
+   * @param {string} text
+   * @returns {TestElement | null}
+   */
+  findByText(text) {
+    const matches = this.findAll(
+      (node) => node instanceof TestElement && node.textContent === text
+    );
+    return /** @type {TestElement | null} */ (matches.at(-1) ?? null);
+  }
+
+  /**
+   * Serializes the node into a plain structure for snapshots, leaving out
+   * the markers that delimit dynamic content.
+   *
+   * @returns {TestSnapshot | TestSnapshot[]}
+   */
+  toJSON() {
+    return this.children.flatMap(serialize);
+  }
+}
+
+/**
+ * An element with a tag name, properties and event listeners.
+ */
+export class TestElement extends TestNode {
+  /** @type {Record<string, unknown>} */
+  props = {};
+  /** @type {Map<string, (event: any) => void>} */
+  listeners = new Map();
+  /**
+   * Keeps the cells bound to the element's properties alive.
+   * @type {Set<unknown>}
+   */
+  cells = new Set();
+
+  /** @param {string} tag */
+  constructor(tag) {
+    super();
+    this.tag = tag;
+  }
+
+  /**
+   * Calls the listener registered for an event, such as `onClick` for
+   * `'click'`, if there is one.
+   *
+   * @param {string} type
+   * @param {Record<string, unknown>} [init]
+   * @returns {boolean} Whether a listener was called.
+   */
+  dispatch(type, init = {}) {
+    const listener = this.listeners.get(type.toLowerCase());
+    if (!listener) return false;
+    listener.call(this, { type, target: this, currentTarget: this, ...init });
+    return true;
+  }
+
+  /** @returns {TestSnapshot} */
+  toJSON() {
+    return /** @type {TestSnapshot} */ (serialize(this)[0]);
+  }
+}
+
+/**
+ * A text node.
+ */
+export class TestText extends TestNode {
+  /** @param {string} text */
+  constructor(text) {
+    super();
+    this.text = text;
+  }
+
+  get textContent() {
+    return this.text;
+  }
+}
+
+/**
+ * A logical group of nodes. Appending a group moves its children instead.
+ */
+export class TestGroup extends TestNode {}
+
+/**
+ * One of the two invisible nodes delimiting the content of a handle.
+ */
+export class TestMarker extends TestNode {
+  get textContent() {
+    return '';
+  }
+}
+
+/**
+ * @param {TestNode} node
+ * @returns {TestSnapshot[]}
+ */
+function serialize(node) {
+  if (node instanceof TestText) return [node.text];
+  if (node instanceof TestMarker) return [];
+  if (!(node instanceof TestElement)) return node.children.flatMap(serialize);
+  /** @type {Record<string, unknown>} */
+  const props = {};
+  for (const [key, value] of Object.entries(node.props)) {
+    if (typeof value !== 'function') props[key] = value;
+  }
+  return [{ tag: node.tag, props, children: node.children.flatMap(serialize) }];
+}
+
+/**
+ * Inserts nodes into a parent before a reference node, moving them from
+ * wherever they are. Groups are replaced by their children.
+ *
+ * @param {TestNode} parent
+ * @param {TestNode[]} nodes
+ * @param {TestNode | null} reference
+ */
+function insertBefore(parent, nodes, reference) {
+  /** @type {TestNode[]} */
+  const flattened = [];
+  for (const node of nodes) {
+    if (node instanceof TestGroup) flattened.push(...node.children);
+    else flattened.push(node);
+  }
+  for (const node of flattened) node.remove();
+  const index = reference
+    ? parent.children.indexOf(reference)
+    : parent.children.length;
+  parent.children.splice(index, 0, ...flattened);
+  for (const node of flattened) node.parent = parent;
+}
+
+/**
+ * @param {TestHandle} handle
+ * @returns {TestNode[]}
+ */
+function getHandleNodes(handle) {
+  const [start, end] = handle;
+  const siblings = /** @type {TestNode} */ (start.parent).children;
+  return siblings.slice(siblings.indexOf(start) + 1, siblings.indexOf(end));
+}
+
+/**
+ * Returns a node and its ancestors, starting from the root.
+ *
+ * @param {TestNode} node
+ * @returns {TestNode[]}
+ */
+function getAncestry(node) {
+  const path = [];
+  /** @type {TestNode | null} */
+  let current = node;
+  while (current) {
+    path.push(current);
+    current = current.parent;
+  }
+  return path.toReversed();
+}
+
+/**
+ * A {@link Renderer} that renders into a tree of plain JavaScript objects,
+ * for testing components without a DOM.
+ *
+ * Setup effects and connected callbacks are both supported. A node counts as
+ * connected while it is attached to {@link TestRenderer.root}, which is where
+ * {@link TestRenderer.mount} renders.
+ *
+ * @implements {Renderer<TestRenderingTypes>}
+ *
+ * @example
+ * ```tsx
+ * import { setActiveRenderer } from 'retend';
+ * import { TestRenderer } from 'retend/testing';
+ *
+ * const renderer = new TestRenderer();
+ * setActiveRenderer(renderer);
+ *
+ * const root = renderer.mount(() => <Counter />);
+ * await renderer.flush();
+ *
+ * root.findByText('Increment')?.dispatch('click');
+ * expect(root.find('output')?.textContent).toBe('1');
+ * expect(root.toJSON()).toMatchSnapshot();
+ * ```
+ */
+export class TestRenderer {
+  host = new EventTarget();
+  root = new TestElement('root');
+  capabilities = {
+    supportsSetupEffects: true,
+    supportsConnectedCallbacks: true,
+  };
+
+  /** @type {Map<number, TestNode[]>} */
+  #savedHandles = new Map();
+  #savedHandleId = 0;
+
+  /**
+   * @param {JSX.Template} app
+   * @returns {TestNode | TestNode[]}
+   */
+  render(app) {
+    return normalizeJsxChild(app, this);
+  }
+
+  /**
+   * Renders an app into a cleared {@link TestRenderer.root}.
+   *
+   * @param {JSX.Template} app
+   * @returns {TestElement} The root.
+   */
+  mount(app) {
+    while (this.root.children.length) this.root.children[0].remove();
+    return /** @type {TestElement} */ (
+      this.append(this.root, this.render(app))
+    );
+  }
+
+  /**
+   * Runs pending setup effects, then waits for every `Await` boundary to
+   * settle.
+   */
+  async flush() {
+    await runPendingSetupEffects();
+    await waitForAsyncBoundaries();
+  }
+
+  /** @param {TestNode} node */
+  isActive(node) {
+    /** @type {TestNode | null} */
+    let current = node;
+    while (current) {
+      if (current === this.root) return true;
+      current = current.parent;
+    }
+    return false;
+  }
+
+  /**
+   * @param {TestNode} a
+   * @param {TestNode} b
+   */
+  comparePosition(a, b) {
+    const pathA = getAncestry(a);
+    const pathB = getAncestry(b);
+    if (pathA[0] !== pathB[0]) return 0;
+    let depth = 1;
+    while (
+      depth < pathA.length &&
+      depth < pathB.length &&
+      pathA[depth] === pathB[depth]
+    ) {
+      depth++;
+    }
+    // An ancestor comes before its descendants.
+    if (depth === pathA.length || depth === pathB.length) {
+      return pathA.length - pathB.length;
+    }
+    const siblings = pathA[depth - 1].children;
+    return siblings.indexOf(pathA[depth]) - siblings.indexOf(pathB[depth]);
+  }
+
+  /** @param {any} child */
+  isNode(child) {
+    return child instanceof TestNode;
+  }
+
+  createGroup() {
+    return new TestGroup();
+  }
+
+  /** @param {any} child */
+  isGroup(child) {
+    return child instanceof TestGroup;
+  }
+
+  /**
+   * @param {string} tagname
+   * @param {any} [_props]
+   */
+  createContainer(tagname, _props) {
+    return new TestElement(tagname);
+  }
+
+  /**
+   * @param {string} text
+   * @param {boolean} [_isReactive]
+   * @param {boolean} [_isPending]
+   */
+  createText(text, _isReactive, _isPending) {
+    return new TestText(String(text));
+  }
+
+  /**
+   * @param {string} text
+   * @param {TestText} node
+   */
+  updateText(text, node) {
+    node.text = String(text);
+    return node;
+  }
+
+  /**
+   * @template {TestNode} N
+   * @param {N} node
+   * @param {string} key
+   * @param {unknown} value
+   * @returns {N}
+   */
+  setProperty(node, key, value) {
+    if (!(node instanceof TestElement) || key === 'children') return node;
+    if (key === 'retend:collection') return node;
+    if (key === 'ref' && value instanceof SourceCell) {
+      node.cells.add(value);
+      value.set(node);
+      return node;
+    }
+    if (/^on[A-Z]/.test(key) && typeof value === 'function') {
+      const type = key.slice(2).split('--')[0].toLowerCase();
+      node.listeners.set(type, /** @type {(event: any) => void} */ (value));
+      return node;
+    }
+    if (Cell.isCell(value)) {
+      /** @param {unknown} next */
+      const update = (next) => {
+        if (next instanceof Promise) next.then(update);
+        else node.props[key] = next;
+      };
+      node.cells.add(value);
+      update(value.get());
+      value.listen(update);
+      return node;
+    }
+    node.props[key] = value;
+    return node;
+  }
+
+  /** @param {TestGroup} group */
+  unwrapGroup(group) {
+    return [...group.children];
+  }
+
+  /**
+   * @param {TestNode} parent
+   * @param {TestNode | TestNode[]} children
+   */
+  append(parent, children) {
+    const nodes = [children].flat().filter(Boolean);
+    insertBefore(parent, nodes, null);
+    return parent;
+  }
+
+  /**
+   * @param {TestGroup} group
+   * @returns {TestHandle}
+   */
+  createGroupHandle(group) {
+    const start = new TestMarker();
+    const end = new TestMarker();
+    insertBefore(group, [start], group.children[0] ?? null);
+    insertBefore(group, [end], null);
+    return [start, end];
+  }
+
+  /**
+   * @param {TestHandle} handle
+   * @param {TestNode[]} newContent
+   */
+  write(handle, newContent) {
+    const [, end] = handle;
+    for (const node of getHandleNodes(handle)) node.remove();
+    insertBefore(/** @type {TestNode} */ (end.parent), newContent, end);
+  }
+
+  /**
+   * @param {TestHandle} handle
+   * @param {ReconcilerOptions<TestNode>} options
+   */
+  reconcile(handle, options) {
+    const {
+      cacheFromLastRun,
+      newCache,
+      newList,
+      retrieveOrSetItemKey,
+      onBeforeNodeRemove,
+      onBeforeNodesMove,
+    } = options;
+    /** @type {Set<TestNode>} */
+    const removed = new Set();
+    for (const [key, { nodes, index }] of cacheFromLastRun) {
+      if (newCache.has(key)) continue;
+      for (const node of nodes) {
+        onBeforeNodeRemove?.(node, index.get());
+        removed.add(node);
+      }
+    }
+
+    // An item has moved if the item before it is no longer the same one,
+    // disregarding the items that were added or removed.
+    const kept = getHandleNodes(handle).filter((node) => !removed.has(node));
+    /** @type {TestNode[]} */
+    const next = [];
+    /** @type {TestNode | undefined} */
+    let lastKeptNode;
+    let i = 0;
+    for (const item of newList) {
+      const cached = newCache.get(retrieveOrSetItemKey(item, i++));
+      if (!cached) continue;
+      const { nodes } = cached;
+      const position = kept.indexOf(nodes[0]);
+      if (position !== -1) {
+        if (kept[position - 1] !== lastKeptNode) onBeforeNodesMove?.(nodes);
+        lastKeptNode = nodes.at(-1);
+      }
+      next.push(...nodes);
+    }
+    this.write(handle, next);
+  }
+
+  /**
+   * @param {__HMR_UpdatableFn} tagname
+   * @param {any[]} props
+   */
+  handleComponent(tagname, props) {
+    /** @type {TestNode[]} */
+    const nodes = createNodesFromTemplate(tagname(...props), this);
+    return nodes.length === 1 ? nodes[0] : nodes;
+  }
+
+  /**
+   * @param {TestHandle} handle
+   * @returns {number}
+   */
+  save(handle) {
+    const id = this.#savedHandleId++;
+    this.#savedHandles.set(id, getHandleNodes(handle));
+    return id;
+  }
+
+  /**
+   * @param {number} id
+   * @param {TestHandle | null} handle
+   */
+  restore(id, handle) {
+    const nodes = this.#savedHandles.get(id);
+    if (!nodes) return;
+    this.#savedHandles.delete(id);
+    if (handle) this.write(handle, nodes);
+  }
+}
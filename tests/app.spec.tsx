@@ -0,0 +1,136 @@
+import {
+  Cell,
+  If,
+  createApp,
+  getActiveRenderer,
+  onSetup,
+  type Renderer,
+} from 'retend';
+import { VDOMRenderer, VWindow } from 'retend-server/v-dom';
+import { DOMRenderer } from 'retend-web';
+import { getGlobalContext } from 'retend/context';
+import { describe, expect, it } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  vDomSetup,
+} from './setup.tsx';
+
+const runTests = () => {
+  it('should render with its own renderer and global data', () => {
+    const host = getActiveRenderer();
+    const hostContext = getGlobalContext();
+    const renderer = new VDOMRenderer(new VWindow());
+    const app = createApp({ renderer });
+    const seen: unknown[] = [];
+    const Widget = () => {
+      seen.push(getActiveRenderer(), getGlobalContext().globalData);
+      return <span>Widget</span>;
+    };
+
+    const result = app.render(<Widget />) as NodeLike;
+    expect(getTextContent(result)).toBe('Widget');
+    expect(seen).toEqual([renderer, app.context.globalData]);
+    expect(getActiveRenderer()).toBe(host);
+    expect(getGlobalContext()).toBe(hostContext);
+  });
+
+  it('should keep two apps from sharing global data', () => {
+    const first = createApp({ renderer: new VDOMRenderer(new VWindow()) });
+    const second = createApp({ renderer: new VDOMRenderer(new VWindow()) });
+    const key = Symbol('counter');
+    const Counter = () => {
+      const { globalData } = getGlobalContext();
+      globalData.set(key, (globalData.get(key) ?? 0) + 1);
+      return <span>{globalData.get(key)}</span>;
+    };
+
+    first.render(<Counter />);
+    first.render(<Counter />);
+    const result = second.render(<Counter />) as NodeLike;
+    expect(getTextContent(result)).toBe('1');
+    expect(first.context.globalData.get(key)).toBe(2);
+  });
+
+  it('should re-render reactive blocks within the app', () => {
+    const renderer = new VDOMRenderer(new VWindow());
+    const app = createApp({ renderer });
+    const show = Cell.source(false);
+    const renderers: Renderer<any>[] = [];
+    const Content = () => {
+      renderers.push(getActiveRenderer());
+      return <span>Shown</span>;
+    };
+
+    const result = app.render(
+      <div>
+        {If(show, () => (
+          <Content />
+        ))}
+      </div>
+    ) as NodeLike;
+    show.set(true);
+    expect(getTextContent(result)).toBe('Shown');
+    expect(renderers).toEqual([renderer]);
+  });
+
+  it('should update a cell shared by two apps within each app', () => {
+    const first = createApp({ renderer: new VDOMRenderer(new VWindow()) });
+    const second = createApp({ renderer: new VDOMRenderer(new VWindow()) });
+    const show = Cell.source(false);
+    const seen: Renderer<any>[] = [];
+    const Content = () => {
+      seen.push(getActiveRenderer());
+      return <span>Shown</span>;
+    };
+    const Widget = () => (
+      <div>
+        {If(show, () => (
+          <Content />
+        ))}
+      </div>
+    );
+
+    first.render(<Widget />);
+    second.render(<Widget />);
+    show.set(true);
+    expect(seen).toEqual([first.renderer, second.renderer]);
+  });
+};
+
+describe('createApp', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+
+    it('should run setup effects and event handlers within the app', async () => {
+      const renderer = new DOMRenderer(window);
+      const app = createApp({ renderer });
+      const contexts: unknown[] = [];
+      const Widget = () => {
+        onSetup(() => {
+          contexts.push(getGlobalContext());
+        });
+        const onClick = () => contexts.push(getGlobalContext());
+        return (
+          <button type="button" onClick={onClick}>
+            Click
+          </button>
+        );
+      };
+
+      const button = app.render(<Widget />) as HTMLButtonElement;
+      window.document.body.append(button);
+      await app.runPendingSetupEffects();
+      button.click();
+      expect(contexts).toEqual([app.context, app.context]);
+    });
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
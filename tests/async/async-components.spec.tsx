@@ -0,0 +1,255 @@
+import {
+  Await,
+  Cell,
+  ErrorBoundary,
+  If,
+  getActiveRenderer,
+  onSetup,
+  runPendingSetupEffects,
+  setErrorHandler,
+} from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  setErrorHandler(null);
+});
+
+const runTests = () => {
+  it('should render the template an async component resolves to', async () => {
+    const renderer = getActiveRenderer();
+    const User = async (props: { id: number }) => {
+      await timeout(10);
+      return <span>User {props.id}</span>;
+    };
+    const App = () => (
+      <div>
+        Before
+        <User id={1} />
+        After
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('BeforeAfter');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('BeforeUser 1After');
+  });
+
+  it('should hold back the nearest Await until the component resolves', async () => {
+    const renderer = getActiveRenderer();
+    const Slow = async () => {
+      await timeout(20);
+      return <span>Slow</span>;
+    };
+    const Fast = async () => {
+      await timeout(5);
+      return <span>Fast</span>;
+    };
+    const App = () => (
+      <div>
+        <Await fallback={<span>Loading</span>}>
+          <Fast />
+          <Slow />
+        </Await>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Loading');
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('Loading');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('FastSlow');
+  });
+
+  it('should not render a component whose branch was removed', async () => {
+    const renderer = getActiveRenderer();
+    const show = Cell.source(true);
+    const rendered: string[] = [];
+    const Content = () => {
+      rendered.push('content');
+      return <span>Content</span>;
+    };
+    const Pending = async () => {
+      await timeout(10);
+      return <Content />;
+    };
+    const App = () => (
+      <div>
+        {If(show, () => (
+          <Pending />
+        ))}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    show.set(false);
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('');
+    expect(rendered).toEqual([]);
+  });
+
+  it('should hold back Await for a component that returns a promise', async () => {
+    const renderer = getActiveRenderer();
+    const User = (props: { id: number }) =>
+      timeout(10).then(() => <span>User {props.id}</span>);
+    const App = () => (
+      <div>
+        <Await fallback={<span>Loading</span>}>
+          <User id={1} />
+        </Await>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Loading');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('User 1');
+  });
+
+  it('should report rejections to the nearest error boundary', async () => {
+    const renderer = getActiveRenderer();
+    const Broken = async () => {
+      await timeout(10);
+      throw new Error('Request failed');
+    };
+    const App = () => (
+      <div>
+        <ErrorBoundary
+          fallback={(error) => <span>{(error as Error).message}</span>}
+        >
+          <Broken />
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Request failed');
+  });
+};
+
+describe('Async Components', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+
+    it('should run the setup effects of the resolved template', async () => {
+      const renderer = getActiveRenderer();
+      const setup = vi.fn();
+      const Content = () => {
+        onSetup(setup);
+        return <span>Content</span>;
+      };
+      const Pending = async () => {
+        await timeout(10);
+        return <Content />;
+      };
+      const result = renderer.render(() => (
+        <div>
+          <Pending />
+        </div>
+      )) as Node;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+      expect(setup).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(20);
+      expect(setup).toHaveBeenCalledTimes(1);
+    });
+
+    it('should dispose effects registered before the first await', async () => {
+      const renderer = getActiveRenderer();
+      const show = Cell.source(true);
+      const cleanup = vi.fn();
+      const Pending = async () => {
+        onSetup(() => cleanup);
+        await timeout(10);
+        return <span>Pending</span>;
+      };
+      const result = renderer.render(() => (
+        <div>
+          {If(show, () => (
+            <Pending />
+          ))}
+        </div>
+      )) as Node;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+      expect(cleanup).not.toHaveBeenCalled();
+
+      show.set(false);
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(20);
+      expect(getTextContent(result)).toBe('');
+    });
+
+    it('should dispose effects registered before returning a promise', async () => {
+      const renderer = getActiveRenderer();
+      const show = Cell.source(true);
+      const cleanup = vi.fn();
+      const Pending = () => {
+        onSetup(() => cleanup);
+        return timeout(10).then(() => <span>Pending</span>);
+      };
+      const result = renderer.render(() => (
+        <div>
+          {If(show, () => (
+            <Pending />
+          ))}
+        </div>
+      )) as Node;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+      expect(cleanup).not.toHaveBeenCalled();
+
+      show.set(false);
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(20);
+      expect(getTextContent(result)).toBe('');
+    });
+
+    it('should report rejections outside of an error boundary', async () => {
+      const renderer = getActiveRenderer();
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      const failure = new Error('Request failed');
+      const Broken = async () => {
+        await timeout(10);
+        throw failure;
+      };
+      renderer.render(() => (
+        <div>
+          <Broken />
+        </div>
+      ));
+
+      await vi.advanceTimersByTimeAsync(20);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toBe(failure);
+      expect(handler.mock.calls[0][1]).toMatchObject({
+        phase: 'component',
+        component: 'Broken',
+      });
+    });
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
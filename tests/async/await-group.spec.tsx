@@ -0,0 +1,267 @@
+import { Await, AwaitGroup, Cell, For, getActiveRenderer } from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+const delayed = (ms: number, value: string) =>
+  Cell.derivedAsync(async () => {
+    await timeout(ms);
+    return value;
+  });
+
+const runTests = () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should reveal boundaries forwards', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(30, 'A');
+    const second = delayed(10, 'B');
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="forwards">
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+          </Await>
+          <Await fallback={<span>2</span>}>
+            <span>{second}</span>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    expect(getTextContent(result)).toBe('12');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('12');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('AB');
+  });
+
+  it('should reveal boundaries backwards', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(10, 'A');
+    const second = delayed(30, 'B');
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="backwards">
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+          </Await>
+          <Await fallback={<span>2</span>}>
+            <span>{second}</span>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('12');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('AB');
+  });
+
+  it('should reveal boundaries together', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(10, 'A');
+    const second = delayed(30, 'B');
+    const third = delayed(20, 'C');
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="together">
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+          </Await>
+          <Await fallback={<span>2</span>}>
+            <span>{second}</span>
+          </Await>
+          <Await fallback={<span>3</span>}>
+            <span>{third}</span>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(25);
+    expect(getTextContent(result)).toBe('123');
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('ABC');
+  });
+
+  it('should only show the next fallback with a collapsed tail', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(10, 'A');
+    const second = delayed(20, 'B');
+    const third = delayed(30, 'C');
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="forwards" tail="collapsed">
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+          </Await>
+          <Await fallback={<span>2</span>}>
+            <span>{second}</span>
+          </Await>
+          <Await fallback={<span>3</span>}>
+            <span>{third}</span>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    expect(getTextContent(result)).toBe('1');
+    await vi.advanceTimersByTimeAsync(15);
+    expect(getTextContent(result)).toBe('A2');
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('AB3');
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('ABC');
+  });
+
+  it('should not hold back boundaries nested in a group boundary', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(30, 'A');
+    const nested = delayed(10, 'N');
+
+    const App = () => (
+      <div>
+        <AwaitGroup>
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+            <Await fallback={<span>n</span>}>
+              <span>{nested}</span>
+            </Await>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(40);
+    expect(getTextContent(result)).toBe('AN');
+  });
+
+  it('should hold back the error view of a boundary', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(30, 'A');
+    const second = Cell.derivedAsync(async () => {
+      await timeout(10);
+      throw new Error('Failed');
+    });
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="forwards">
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+          </Await>
+          <Await
+            fallback={<span>2</span>}
+            error={(reason) => <span>{(reason as Error).message}</span>}
+          >
+            <span>{second}</span>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('12');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('AFailed');
+  });
+
+  it('should hold back a boundary that times out', async () => {
+    const renderer = getActiveRenderer();
+    const first = delayed(30, 'A');
+    const second = delayed(50, 'B');
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="forwards">
+          <Await fallback={<span>1</span>}>
+            <span>{first}</span>
+          </Await>
+          <Await fallback={<span>2</span>} timeout={10}>
+            <span>{second}</span>
+          </Await>
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('12');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('A');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('AB');
+  });
+
+  it('should reveal boundaries in document order when an item is prepended', async () => {
+    const renderer = getActiveRenderer();
+    const delays: Record<string, number> = { A: 10, B: 10, C: 30 };
+    const items = Cell.source([{ id: 'B' }]);
+
+    const App = () => (
+      <div>
+        <AwaitGroup revealOrder="forwards">
+          {For(
+            items,
+            ({ id }) => (
+              <Await fallback={<span>{id.toLowerCase()}</span>}>
+                <span>{delayed(delays[id], id)}</span>
+              </Await>
+            ),
+            { key: 'id' }
+          )}
+        </AwaitGroup>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('B');
+
+    items.set([...items.get(), { id: 'C' }]);
+    expect(getTextContent(result)).toBe('Bc');
+    items.set([{ id: 'A' }, ...items.get()]);
+    expect(getTextContent(result)).toBe('aBc');
+
+    // A registered after C, but comes first, so it does not wait for C.
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('ABc');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('ABC');
+  });
+};
+
+describe('AwaitGroup', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
@@ -0,0 +1,155 @@
+import { Await, Cell, getActiveRenderer, useAwait } from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+const delayed = (ms: number, value: string) =>
+  Cell.derivedAsync(async () => {
+    await timeout(ms);
+    return value;
+  });
+
+const runTests = () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should show the timeout fallback once the timeout passes', async () => {
+    const renderer = getActiveRenderer();
+    const text = delayed(100, 'Loaded');
+
+    const App = () => (
+      <Await
+        fallback={<span>Loading</span>}
+        timeout={30}
+        timeoutFallback={<span>Still loading</span>}
+      >
+        <div>{text}</div>
+      </Await>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    expect(getTextContent(result)).toBe('Loading');
+    await vi.advanceTimersByTimeAsync(40);
+    expect(getTextContent(result)).toBe('Still loading');
+    await vi.advanceTimersByTimeAsync(70);
+    expect(getTextContent(result)).toBe('Loaded');
+  });
+
+  it('should reveal partial content after the timeout without a timeout fallback', async () => {
+    const renderer = getActiveRenderer();
+    const fast = delayed(10, 'Fast');
+    const slow = delayed(100, 'Slow');
+
+    const App = () => (
+      <Await fallback={<span>Loading</span>} timeout={30}>
+        <div>
+          {fast} {slow}
+        </div>
+      </Await>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(40);
+    expect(getTextContent(result)).toBe('Fast ');
+    await vi.advanceTimersByTimeAsync(70);
+    expect(getTextContent(result)).toBe('Fast Slow');
+  });
+
+  it('should not show the timeout fallback if content resolves first', async () => {
+    const renderer = getActiveRenderer();
+    const text = delayed(10, 'Loaded');
+
+    const App = () => (
+      <Await
+        fallback={<span>Loading</span>}
+        timeout={30}
+        timeoutFallback={<span>Still loading</span>}
+      >
+        <div>{text}</div>
+      </Await>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(50);
+    expect(getTextContent(result)).toBe('Loaded');
+  });
+
+  it('should keep the fallback for the minimum duration', async () => {
+    const renderer = getActiveRenderer();
+    const text = delayed(10, 'Loaded');
+
+    const App = () => (
+      <Await fallback={<span>Loading</span>} minDuration={100}>
+        <div>{text}</div>
+      </Await>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(50);
+    expect(getTextContent(result)).toBe('Loading');
+    await vi.advanceTimersByTimeAsync(60);
+    expect(getTextContent(result)).toBe('Loaded');
+  });
+
+  it('should render the error view and retry failed cells', async () => {
+    const renderer = getActiveRenderer();
+    let attempts = 0;
+    const data = Cell.derivedAsync(async () => {
+      await timeout(10);
+      attempts++;
+      if (attempts === 1) throw new Error('Offline');
+      return 'Loaded';
+    });
+    const retries: (() => void)[] = [];
+
+    const Content = () => {
+      useAwait()?.waitUntil(data);
+      return <div>Content</div>;
+    };
+
+    const App = () => (
+      <Await
+        fallback={<span>Loading</span>}
+        error={(reason, retryLoad) => {
+          retries.push(retryLoad);
+          return <span>{(reason as Error).message}</span>;
+        }}
+      >
+        <Content />
+      </Await>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Offline');
+
+    retries[0]();
+    expect(getTextContent(result)).toBe('Loading');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Content');
+    expect(attempts).toBe(2);
+  });
+};
+
+describe('Await options', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  Await,
+  Cell,
+  For,
+  If,
+  getActiveRenderer,
+  replaceChunks,
+  setErrorHandler,
+} from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  setErrorHandler(null);
+});
+
+async function* delayed<T>(items: T[], delay = 10) {
+  for (const item of items) {
+    await timeout(delay);
+    yield item;
+  }
+}
+
+const runTests = () => {
+  it('should append chunks as they arrive', async () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <div>
+        Before
+        {delayed(['Hello', ', ', <b>world</b>])}
+        After
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('BeforeAfter');
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('BeforeHelloAfter');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('BeforeHello, worldAfter');
+  });
+
+  it('should replace the content of streams marked with replaceChunks', async () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <div>{replaceChunks(delayed(['Connecting', <i>Connected</i>]))}</div>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('Connecting');
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('Connected');
+  });
+
+  it('should hold back the nearest Await until the first chunk', async () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <div>
+        <Await fallback={<span>Loading</span>}>
+          {delayed(['First', 'Second'], 20)}
+        </Await>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Loading');
+
+    await vi.advanceTimersByTimeAsync(25);
+    expect(getTextContent(result)).toBe('First');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('FirstSecond');
+  });
+
+  it('should cancel the iterator when its branch is removed', async () => {
+    const renderer = getActiveRenderer();
+    const show = Cell.source(true);
+    const pulled: number[] = [];
+    let finished = false;
+    async function* counter() {
+      try {
+        for (let i = 0; i < 10; i++) {
+          await timeout(10);
+          pulled.push(i);
+          yield i;
+        }
+      } finally {
+        finished = true;
+      }
+    }
+    const App = () => <div>{If(show, () => counter())}</div>;
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(25);
+    expect(getTextContent(result)).toBe('01');
+    show.set(false);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(getTextContent(result)).toBe('');
+    expect(finished).toBe(true);
+    expect(pulled.length).toBeLessThan(4);
+  });
+
+  it('should decode byte chunks from a readable stream', async () => {
+    const renderer = getActiveRenderer();
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream<Uint8Array>({
+      async start(controller) {
+        await timeout(10);
+        controller.enqueue(encoder.encode('Streamed '));
+        await timeout(10);
+        controller.enqueue(encoder.encode('text'));
+        controller.close();
+      },
+    });
+    const result = renderer.render(() => <p>{stream}</p>) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(30);
+    expect(getTextContent(result)).toBe('Streamed text');
+  });
+
+  it('should render items of an async iterable with For', async () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <ul>
+        {For(delayed(['a', 'b', 'c']), (item, index) => (
+          <li>
+            {index}:{item}
+          </li>
+        ))}
+      </ul>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('0:a1:b');
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('0:a1:b2:c');
+  });
+
+  it('should only render the new items of For as chunks arrive', async () => {
+    const renderer = getActiveRenderer();
+    const renderItem = vi.fn((item: string) => <li>{item}</li>);
+    const App = () => <ul>{For(delayed(['a', 'b', 'c']), renderItem)}</ul>;
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(30);
+    expect(getTextContent(result)).toBe('abc');
+    expect(renderItem.mock.calls.map(([item]) => item)).toEqual([
+      'a',
+      'b',
+      'c',
+    ]);
+  });
+
+  it('should report streams that fail outside of an ErrorBoundary', async () => {
+    const renderer = getActiveRenderer();
+    const errors: unknown[] = [];
+    setErrorHandler((error, origin) => errors.push([error, origin.phase]));
+    const failure = new Error('Connection lost');
+    async function* failing() {
+      yield 'Partial';
+      await timeout(10);
+      throw failure;
+    }
+    const result = renderer.render(<p>{failing()}</p>) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('Partial');
+    expect(errors).toEqual([[failure, 'stream']]);
+  });
+
+  it('should replace the list of For with replaceChunks', async () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <ul>
+        {For(replaceChunks(delayed([['a'], ['b', 'c']])), (item) => (
+          <li>{item}</li>
+        ))}
+      </ul>
+    );
+    const result = renderer.render(App) as NodeLike;
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('a');
+
+    await vi.advanceTimersByTimeAsync(10);
+    expect(getTextContent(result)).toBe('bc');
+  });
+};
+
+describe('Stream Children', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
@@ -0,0 +1,137 @@
+import {
+  Cell,
+  If,
+  getActiveRenderer,
+  startTransition,
+  useTransition,
+} from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+const createTab = () => {
+  const tab = Cell.source('a');
+  const title = Cell.derivedAsync(async (get) => {
+    const value = get(tab);
+    await timeout(10);
+    return `Title ${value}`;
+  });
+  const body = Cell.derivedAsync(async (get) => {
+    const value = get(tab);
+    await timeout(30);
+    return `Body ${value}`;
+  });
+  return { tab, title, body };
+};
+
+const runTests = () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should update async content as each value resolves without a transition', async () => {
+    const renderer = getActiveRenderer();
+    const { tab, title, body } = createTab();
+    const result = renderer.render(
+      <div>
+        {title}|{body}
+      </div>
+    ) as NodeLike;
+    await vi.advanceTimersByTimeAsync(40);
+    expect(getTextContent(result)).toBe('Title a|Body a');
+
+    tab.set('b');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Title b|Body a');
+  });
+
+  it('should keep previous content until all values in a transition resolve', async () => {
+    const renderer = getActiveRenderer();
+    const { tab, title, body } = createTab();
+    const result = renderer.render(
+      <div>
+        {title}|{body}
+      </div>
+    ) as NodeLike;
+    await vi.advanceTimersByTimeAsync(40);
+
+    const settled = startTransition(() => tab.set('b'));
+    expect(settled).toBeInstanceOf(Promise);
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Title a|Body a');
+
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Title b|Body b');
+  });
+
+  it('should hold control flow blocks in a transition', async () => {
+    const renderer = getActiveRenderer();
+    const { tab, title } = createTab();
+    const isB = Cell.derivedAsync(async (get) => {
+      const value = get(tab);
+      await timeout(30);
+      return value === 'b';
+    });
+    const result = renderer.render(
+      <div>
+        {title}
+        {If(isB, {
+          true: () => <span>:B</span>,
+          false: () => <span>:A</span>,
+        })}
+      </div>
+    ) as NodeLike;
+    await vi.advanceTimersByTimeAsync(40);
+    expect(getTextContent(result)).toBe('Title a:A');
+
+    startTransition(() => tab.set('b'));
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Title a:A');
+    await vi.advanceTimersByTimeAsync(20);
+    expect(getTextContent(result)).toBe('Title b:B');
+  });
+
+  it('should track whether a transition is pending', async () => {
+    const renderer = getActiveRenderer();
+    const { tab, body } = createTab();
+    const { isPending, startTransition } = useTransition();
+    renderer.render(<div>{body}</div>);
+    await vi.advanceTimersByTimeAsync(40);
+    expect(isPending.get()).toBe(false);
+
+    startTransition(() => tab.set('b'));
+    expect(isPending.get()).toBe(true);
+    await vi.advanceTimersByTimeAsync(40);
+    expect(isPending.get()).toBe(false);
+  });
+
+  it('should not be pending when nothing async changes', () => {
+    const count = Cell.source(0);
+    const { isPending, startTransition } = useTransition();
+    startTransition(() => count.set(1));
+    expect(isPending.get()).toBe(false);
+    expect(count.get()).toBe(1);
+  });
+};
+
+describe('Transitions', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
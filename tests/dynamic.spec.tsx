@@ -0,0 +1,169 @@
+import {
+  Await,
+  Cell,
+  Dynamic,
+  Slot,
+  getActiveRenderer,
+  onSetup,
+  runPendingSetupEffects,
+  useSlot,
+} from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from './setup.tsx';
+
+const Greeting = (props: { name: string }) => <p>Hello, {props.name}</p>;
+const Farewell = (props: { name: string }) => <p>Goodbye, {props.name}</p>;
+
+const runTests = () => {
+  it('should render a static component with the rest of the props', () => {
+    const renderer = getActiveRenderer();
+    const result = renderer.render(
+      <div>
+        <Dynamic component={Greeting} name="Ada" />
+      </div>
+    ) as NodeLike;
+
+    expect(getTextContent(result)).toBe('Hello, Ada');
+  });
+
+  it('should swap components when the cell changes', () => {
+    const renderer = getActiveRenderer();
+    const component = Cell.source<typeof Greeting>(Greeting);
+    const result = renderer.render(
+      <div>
+        <Dynamic component={component} name="Ada" />
+      </div>
+    ) as NodeLike;
+
+    expect(getTextContent(result)).toBe('Hello, Ada');
+    component.set(Farewell);
+    expect(getTextContent(result)).toBe('Goodbye, Ada');
+  });
+
+  it('should render intrinsic elements with props and children', () => {
+    const renderer = getActiveRenderer();
+    const tag = Cell.source('h1');
+    const result = renderer.render(
+      <div>
+        <Dynamic component={tag} class="title">
+          Heading
+        </Dynamic>
+      </div>
+    ) as NodeLike;
+
+    const element = result as Element;
+    expect(element.querySelector('h1')?.getAttribute('class')).toBe('title');
+    expect(getTextContent(result)).toBe('Heading');
+
+    tag.set('h2');
+    expect(element.querySelector('h1')).toBeNull();
+    expect(element.querySelector('h2')?.getAttribute('class')).toBe('title');
+    expect(getTextContent(result)).toBe('Heading');
+  });
+
+  it('should render nothing for an empty component', () => {
+    const renderer = getActiveRenderer();
+    const component = Cell.source<typeof Greeting | null>(null);
+    const result = renderer.render(
+      <div>
+        <Dynamic component={component} name="Ada" />
+      </div>
+    ) as NodeLike;
+
+    expect(getTextContent(result)).toBe('');
+    component.set(Greeting);
+    expect(getTextContent(result)).toBe('Hello, Ada');
+    component.set(null);
+    expect(getTextContent(result)).toBe('');
+  });
+
+  it('should dispose the previous component', async () => {
+    const renderer = getActiveRenderer();
+    const cleanup = vi.fn();
+    const Tracked = () => {
+      onSetup(() => cleanup);
+      return <span>Tracked</span>;
+    };
+    const component = Cell.source<() => JSX.Template>(Tracked);
+    renderer.render(
+      <div>
+        <Dynamic component={component} />
+      </div>
+    );
+    await runPendingSetupEffects();
+
+    component.set(() => <span>Other</span>);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give the component the slots passed to it', () => {
+    const renderer = getActiveRenderer();
+    const Card = (_props: { children?: JSX.Children }) => (
+      <section>
+        <h2>{useSlot('title')}</h2>
+        {useSlot()}
+      </section>
+    );
+    const component = Cell.source<typeof Card>(Card);
+    const result = renderer.render(
+      <div>
+        <Dynamic component={component}>
+          <Slot name="title">Title</Slot>
+          Body
+        </Dynamic>
+      </div>
+    ) as NodeLike;
+
+    const element = result as Element;
+    expect(getTextContent(element.querySelector('h2')!)).toBe('Title');
+    expect(getTextContent(result)).toBe('TitleBody');
+  });
+
+  describe('with Await', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should wait for an async component cell', async () => {
+      const renderer = getActiveRenderer();
+      const component = Cell.derivedAsync(async () => {
+        await timeout(10);
+        return Greeting;
+      });
+      const result = renderer.render(
+        <div>
+          <Await fallback={<span>Loading</span>}>
+            <Dynamic component={component} name="Ada" />
+          </Await>
+        </div>
+      ) as NodeLike;
+
+      expect(getTextContent(result)).toBe('Loading');
+      await vi.advanceTimersByTimeAsync(20);
+      expect(getTextContent(result)).toBe('Hello, Ada');
+    });
+  });
+};
+
+describe('Dynamic', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
@@ -0,0 +1,247 @@
+import {
+  Await,
+  Cell,
+  ErrorBoundary,
+  For,
+  If,
+  Switch,
+  getActiveRenderer,
+  onSetup,
+  runPendingSetupEffects,
+} from 'retend';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from './setup.tsx';
+
+const runTests = () => {
+  it('should render children when nothing throws', () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <div>
+        <ErrorBoundary fallback={() => <span>Failed</span>}>
+          <span>Content</span>
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Content');
+  });
+
+  it('should render the fallback when a component throws during setup', () => {
+    const renderer = getActiveRenderer();
+    const Broken = () => {
+      throw new Error('Broken component');
+    };
+    const App = () => (
+      <div>
+        <ErrorBoundary
+          fallback={(error) => <span>{(error as Error).message}</span>}
+        >
+          <span>Before</span>
+          <Broken />
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Broken component');
+  });
+
+  it('should catch errors from If branches re-rendering', () => {
+    const renderer = getActiveRenderer();
+    const show = Cell.source(false);
+    const Broken = () => {
+      throw new Error('Branch failed');
+    };
+    const App = () => (
+      <div>
+        <ErrorBoundary
+          fallback={(error) => <span>{(error as Error).message}</span>}
+        >
+          {If(show, Broken, () => (
+            <span>Hidden</span>
+          ))}
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Hidden');
+
+    show.set(true);
+    expect(getTextContent(result)).toBe('Branch failed');
+  });
+
+  it('should catch errors from Switch cases re-rendering', () => {
+    const renderer = getActiveRenderer();
+    const value = Cell.source<'a' | 'b'>('a');
+    const App = () => (
+      <div>
+        <ErrorBoundary fallback={() => <span>Switch failed</span>}>
+          {Switch(value, {
+            a: () => <span>A</span>,
+            b: () => {
+              throw new Error('B');
+            },
+          })}
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('A');
+
+    value.set('b');
+    expect(getTextContent(result)).toBe('Switch failed');
+  });
+
+  it('should catch errors from For items added later', () => {
+    const renderer = getActiveRenderer();
+    const items = Cell.source([1, 2]);
+    const App = () => (
+      <div>
+        <ErrorBoundary fallback={() => <span>List failed</span>}>
+          {For(items, (item) => {
+            if (item === 3) throw new Error('Item failed');
+            return <span>{item}</span>;
+          })}
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('12');
+
+    items.set([1, 2, 3]);
+    expect(getTextContent(result)).toBe('List failed');
+  });
+
+  it('should remount the subtree when reset is called', () => {
+    const renderer = getActiveRenderer();
+    let shouldThrow = true;
+    const resets: Array<() => void> = [];
+    const Flaky = () => {
+      if (shouldThrow) throw new Error('Flaky');
+      return <span>Recovered</span>;
+    };
+    const App = () => (
+      <div>
+        <ErrorBoundary
+          fallback={(_, retry) => {
+            resets.push(retry);
+            return <span>Failed</span>;
+          }}
+        >
+          <Flaky />
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Failed');
+
+    shouldThrow = false;
+    resets[0]();
+    expect(getTextContent(result)).toBe('Recovered');
+  });
+
+  it('should propagate errors thrown by the fallback to the outer boundary', () => {
+    const renderer = getActiveRenderer();
+    const Broken = () => {
+      throw new Error('Inner');
+    };
+    const App = () => (
+      <div>
+        <ErrorBoundary fallback={() => <span>Outer caught</span>}>
+          <ErrorBoundary
+            fallback={() => {
+              throw new Error('Fallback failed');
+            }}
+          >
+            <Broken />
+          </ErrorBoundary>
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Outer caught');
+  });
+
+  describe('async', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should catch rejected async cells under Await', async () => {
+      const renderer = getActiveRenderer();
+      const data = Cell.derivedAsync(async () => {
+        await timeout(10);
+        throw new Error('Request failed');
+      });
+      const App = () => (
+        <div>
+          <ErrorBoundary
+            fallback={(error) => <span>{(error as Error).message}</span>}
+          >
+            <Await fallback={<span>Loading</span>}>
+              <span>{data}</span>
+            </Await>
+          </ErrorBoundary>
+        </div>
+      );
+      const result = renderer.render(App) as NodeLike;
+      expect(getTextContent(result)).toBe('Loading');
+
+      await vi.advanceTimersByTimeAsync(20);
+      expect(getTextContent(result)).toBe('Request failed');
+    });
+  });
+};
+
+describe('ErrorBoundary', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+
+    it('should dispose the failed subtree and catch setup effect errors', async () => {
+      const renderer = getActiveRenderer();
+      const cleanup = vi.fn();
+      const Healthy = () => {
+        onSetup(() => cleanup);
+        return <span>Healthy</span>;
+      };
+      const Broken = () => {
+        onSetup(() => {
+          throw new Error('Setup failed');
+        });
+        return <span>Broken</span>;
+      };
+      const App = () => (
+        <div>
+          <ErrorBoundary
+            fallback={(error) => <span>{(error as Error).message}</span>}
+          >
+            <Healthy />
+            <Broken />
+          </ErrorBoundary>
+        </div>
+      );
+      const result = renderer.render(App) as HTMLElement;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+
+      expect(getTextContent(result)).toBe('Setup failed');
+      expect(cleanup).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
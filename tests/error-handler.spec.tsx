@@ -0,0 +1,167 @@
+import {
+  Cell,
+  ErrorBoundary,
+  If,
+  Presence,
+  getActiveRenderer,
+  onConnected,
+  onSetup,
+  runPendingSetupEffects,
+  setErrorHandler,
+} from 'retend';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { browserSetup, timeout } from './setup.tsx';
+
+afterEach(() => {
+  setErrorHandler(null);
+});
+
+describe('setErrorHandler', () => {
+  describe('Browser', () => {
+    browserSetup();
+
+    const mount = async (App: () => JSX.Template) => {
+      const renderer = getActiveRenderer();
+      const result = renderer.render(App) as Node;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+      return result;
+    };
+
+    it('should report setup errors with their component', async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      const failure = new Error('Setup failed');
+      const Broken = () => {
+        onSetup(() => {
+          throw failure;
+        });
+        return <span>Broken</span>;
+      };
+
+      await mount(() => (
+        <div>
+          <Broken />
+        </div>
+      ));
+      expect(handler).toHaveBeenCalledTimes(1);
+      const [error, origin] = handler.mock.calls[0];
+      expect(error).toBe(failure);
+      expect(origin).toMatchObject({ phase: 'setup', component: 'Broken' });
+      expect(typeof origin.snapshotId).toBe('string');
+    });
+
+    it('should report cleanup errors when a branch is disposed', async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      const show = Cell.source(true);
+      const Timer = () => {
+        onSetup(() => () => {
+          throw new Error('Cleanup failed');
+        });
+        return <span>Timer</span>;
+      };
+
+      await mount(() => (
+        <div>
+          {If(show, () => (
+            <Timer />
+          ))}
+        </div>
+      ));
+      show.set(false);
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Cleanup failed' }),
+        expect.objectContaining({ phase: 'cleanup', component: 'Timer' })
+      );
+    });
+
+    it('should report errors from connected callbacks', async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      const Canvas = () => {
+        const ref = Cell.source<HTMLElement | null>(null);
+        onConnected(ref, () => {
+          throw new Error('No context');
+        });
+        return <canvas ref={ref} />;
+      };
+
+      await mount(() => (
+        <div>
+          <Canvas />
+        </div>
+      ));
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'No context' }),
+        expect.objectContaining({ phase: 'connected', component: 'Canvas' })
+      );
+    });
+
+    it('should not report errors handled by an error boundary', async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      const Broken = () => {
+        onSetup(() => {
+          throw new Error('Setup failed');
+        });
+        return <span>Broken</span>;
+      };
+
+      const result = await mount(() => (
+        <div>
+          <ErrorBoundary fallback={() => <span>Fallback</span>}>
+            <Broken />
+          </ErrorBoundary>
+        </div>
+      ));
+      await runPendingSetupEffects();
+      expect(handler).not.toHaveBeenCalled();
+      expect(result.textContent).toBe('Fallback');
+    });
+
+    it('should report rejected exit callbacks', async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      const failure = new Error('Exit failed');
+      const show = Cell.source(true);
+
+      const result = await mount(() => (
+        <div>
+          <Presence onExit={() => Promise.reject(failure)}>
+            {If(show, () => (
+              <span>Shown</span>
+            ))}
+          </Presence>
+        </div>
+      ));
+      show.set(false);
+      await timeout();
+      expect(handler).toHaveBeenCalledTimes(1);
+      const [error, origin] = handler.mock.calls[0];
+      expect(error).toBe(failure);
+      expect(origin).toMatchObject({ phase: 'exit', component: 'Presence' });
+      expect(result.textContent).toBe('');
+    });
+
+    it('should log errors when no handler is set', async () => {
+      const log = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const failure = new Error('Setup failed');
+      const Broken = () => {
+        onSetup(() => {
+          throw failure;
+        });
+        return <span>Broken</span>;
+      };
+
+      await mount(() => (
+        <div>
+          <Broken />
+        </div>
+      ));
+      expect(log).toHaveBeenCalledWith('Setup effect failed:', failure);
+      log.mockRestore();
+    });
+  });
+});
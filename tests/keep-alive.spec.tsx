@@ -0,0 +1,151 @@
+import {
+  Cell,
+  KeepAlive,
+  type SourceCell,
+  getActiveRenderer,
+  onConnected,
+  onSetup,
+  runPendingSetupEffects,
+} from 'retend';
+import { describe, expect, it } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from './setup.tsx';
+
+const runTests = () => {
+  it('should keep the nodes and state of hidden branches', () => {
+    const renderer = getActiveRenderer();
+    const tab = Cell.source('a');
+    const counts: SourceCell<number>[] = [];
+    const Page = (props: { name: string }) => {
+      const count = Cell.source(0);
+      counts.push(count);
+      return (
+        <p>
+          {props.name}
+          {count}
+        </p>
+      );
+    };
+    const App = () => (
+      <div>
+        <KeepAlive value={tab}>
+          {(name: string) => <Page name={name} />}
+        </KeepAlive>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('a0');
+    counts[0].set(5);
+
+    tab.set('b');
+    expect(getTextContent(result)).toBe('b0');
+
+    tab.set('a');
+    expect(getTextContent(result)).toBe('a5');
+    expect(counts.length).toBe(2);
+  });
+
+  it('should dispose the least recently shown branches past the cap', () => {
+    const renderer = getActiveRenderer();
+    const tab = Cell.source('a');
+    const rendered: string[] = [];
+    const App = () => (
+      <div>
+        <KeepAlive value={tab} max={1}>
+          {(name: string) => {
+            rendered.push(name);
+            return <span>{name}</span>;
+          }}
+        </KeepAlive>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    tab.set('b');
+    tab.set('c');
+    expect(getTextContent(result)).toBe('c');
+
+    tab.set('b');
+    expect(rendered).toEqual(['a', 'b', 'c']);
+
+    tab.set('a');
+    expect(getTextContent(result)).toBe('a');
+    expect(rendered).toEqual(['a', 'b', 'c', 'a']);
+  });
+
+  it('should render static values once', () => {
+    const renderer = getActiveRenderer();
+    const App = () => (
+      <div>
+        <KeepAlive value="a">{(name: string) => <span>{name}</span>}</KeepAlive>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('a');
+  });
+};
+
+describe('KeepAlive', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+
+    it('should pause and resume the effects of hidden branches', async () => {
+      const renderer = getActiveRenderer();
+      const tab = Cell.source('a');
+      const events: string[] = [];
+      const Page = (props: { name: string }) => {
+        const ref = Cell.source<HTMLElement | null>(null);
+        onSetup(() => {
+          events.push(`setup ${props.name}`);
+          return () => events.push(`cleanup ${props.name}`);
+        });
+        onConnected(ref, () => {
+          events.push(`connected ${props.name}`);
+          return () => events.push(`disconnected ${props.name}`);
+        });
+        return <p ref={ref}>{props.name}</p>;
+      };
+      const App = () => (
+        <KeepAlive value={tab}>
+          {(name: string) => <Page name={name} />}
+        </KeepAlive>
+      );
+      const root = renderer.render(App) as Node;
+      window.document.body.append(root);
+      await runPendingSetupEffects();
+      expect(events).toEqual(['connected a', 'setup a']);
+
+      events.length = 0;
+      tab.set('b');
+      await timeout();
+      expect(events).toEqual([
+        'disconnected a',
+        'cleanup a',
+        'connected b',
+        'setup b',
+      ]);
+
+      events.length = 0;
+      tab.set('a');
+      await timeout();
+      expect(events).toEqual([
+        'disconnected b',
+        'cleanup b',
+        'connected a',
+        'setup a',
+      ]);
+      expect(window.document.body.textContent).toBe('a');
+    });
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
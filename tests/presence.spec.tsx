@@ -0,0 +1,162 @@
+import { Cell, For, If, Presence, Switch, getActiveRenderer } from 'retend';
+import { describe, expect, it } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from './setup.tsx';
+
+const createExits = () => {
+  const pending: Array<{ node: NodeLike; done: () => void }> = [];
+  const onExit = (node: NodeLike) =>
+    new Promise<void>((resolve) => {
+      pending.push({ node, done: resolve });
+    });
+  const finishAll = async () => {
+    for (const { done } of pending.splice(0)) done();
+    await timeout();
+  };
+  return { pending, onExit, finishAll };
+};
+
+const runTests = () => {
+  it('should keep the previous If branch until its exit settles', async () => {
+    const renderer = getActiveRenderer();
+    const show = Cell.source(true);
+    const { pending, onExit, finishAll } = createExits();
+    const App = () => (
+      <div>
+        <Presence onExit={onExit}>
+          {If(
+            show,
+            () => (
+              <span>Shown</span>
+            ),
+            () => (
+              <span>Hidden</span>
+            )
+          )}
+        </Presence>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Shown');
+    expect(pending.length).toBe(0);
+
+    show.set(false);
+    expect(getTextContent(result)).toBe('ShownHidden');
+    expect(pending.length).toBe(1);
+    expect(getTextContent(pending[0].node)).toBe('Shown');
+
+    await finishAll();
+    expect(getTextContent(result)).toBe('Hidden');
+  });
+
+  it('should keep overlapping Switch exits in order', async () => {
+    const renderer = getActiveRenderer();
+    const value = Cell.source<'a' | 'b' | 'c'>('a');
+    const { pending, onExit, finishAll } = createExits();
+    const App = () => (
+      <div>
+        <Presence onExit={onExit}>
+          {Switch(value, {
+            a: () => <span>A</span>,
+            b: () => <span>B</span>,
+            c: () => <span>C</span>,
+          })}
+        </Presence>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    value.set('b');
+    value.set('c');
+    expect(getTextContent(result)).toBe('ABC');
+    expect(pending.length).toBe(2);
+
+    await finishAll();
+    expect(getTextContent(result)).toBe('C');
+  });
+
+  it('should keep removed For items in place until their exit settles', async () => {
+    const renderer = getActiveRenderer();
+    const [a, b, c, d] = ['A', 'B', 'C', 'D'].map((name) => ({ name }));
+    const items = Cell.source([a, b, c]);
+    const { pending, onExit, finishAll } = createExits();
+    const App = () => (
+      <div>
+        <Presence onExit={onExit}>
+          {For(items, (item) => (
+            <span>{item.name}</span>
+          ))}
+        </Presence>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('ABC');
+
+    items.set([a, c, d]);
+    expect(getTextContent(result)).toBe('ABCD');
+    expect(pending.length).toBe(1);
+    expect(getTextContent(pending[0].node)).toBe('B');
+
+    await finishAll();
+    expect(getTextContent(result)).toBe('ACD');
+  });
+
+  it('should render a fresh instance when an exiting For item is re-added', async () => {
+    const renderer = getActiveRenderer();
+    const items = Cell.source(['A', 'B']);
+    const { onExit, finishAll } = createExits();
+    const App = () => (
+      <div>
+        <Presence onExit={onExit}>
+          {For(items, (item) => (
+            <span>{item}</span>
+          ))}
+        </Presence>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    items.set(['A']);
+    items.set(['A', 'B']);
+    expect(getTextContent(result)).toBe('ABB');
+
+    await finishAll();
+    expect(getTextContent(result)).toBe('AB');
+  });
+
+  it('should remove nodes immediately outside a Presence', () => {
+    const renderer = getActiveRenderer();
+    const show = Cell.source(true);
+    const items = Cell.source(['A', 'B']);
+    const App = () => (
+      <div>
+        {If(show, () => (
+          <span>Shown</span>
+        ))}
+        {For(items, (item) => (
+          <span>{item}</span>
+        ))}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    show.set(false);
+    items.set(['B']);
+    expect(getTextContent(result)).toBe('B');
+  });
+};
+
+describe('Presence', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
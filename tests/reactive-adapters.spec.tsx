@@ -0,0 +1,166 @@
+import {
+  Cell,
+  For,
+  If,
+  Switch,
+  getActiveRenderer,
+  observableAdapter,
+  registerReactiveAdapter,
+} from 'retend';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  render,
+  vDomSetup,
+} from './setup.tsx';
+
+class Subject<T> {
+  #listeners = new Set<(value: T) => void>();
+  value: T;
+
+  constructor(value: T) {
+    this.value = value;
+  }
+
+  subscribe(listener: (value: T) => void) {
+    this.#listeners.add(listener);
+    listener(this.value);
+    return { unsubscribe: () => this.#listeners.delete(listener) };
+  }
+
+  next(value: T) {
+    this.value = value;
+    for (const listener of this.#listeners) listener(value);
+  }
+
+  get size() {
+    return this.#listeners.size;
+  }
+}
+
+class Box<T> {
+  #listeners = new Set<() => void>();
+  value: T;
+
+  constructor(value: T) {
+    this.value = value;
+  }
+
+  set(value: T) {
+    this.value = value;
+    for (const listener of this.#listeners) listener();
+  }
+
+  watch(listener: () => void) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+}
+
+let unregister: (() => void)[] = [];
+
+beforeEach(() => {
+  unregister = [
+    registerReactiveAdapter(observableAdapter),
+    registerReactiveAdapter({
+      test: (value): value is Box<unknown> => value instanceof Box,
+      get: (box) => box.value,
+      subscribe: (box, onChange) => box.watch(() => onChange(box.value)),
+    }),
+  ];
+});
+
+afterEach(() => {
+  for (const remove of unregister) remove();
+});
+
+const runTests = () => {
+  it('should render and update text children', () => {
+    const renderer = getActiveRenderer();
+    const name = new Subject('Ada');
+    const count = new Box(1);
+    const result = renderer.render(
+      <p>
+        {name} {count}
+      </p>
+    ) as NodeLike;
+    expect(getTextContent(result)).toBe('Ada 1');
+
+    name.next('Grace');
+    count.set(2);
+    expect(getTextContent(result)).toBe('Grace 2');
+  });
+
+  it('should update element properties', () => {
+    const title = new Box('first');
+    const result = render(<div title={title as unknown as string} />);
+    expect(result.getAttribute('title')).toBe('first');
+
+    title.set('second');
+    expect(result.getAttribute('title')).toBe('second');
+  });
+
+  it('should drive If, Switch and For', () => {
+    const renderer = getActiveRenderer();
+    const show = new Box(false);
+    const mode = new Subject<'a' | 'b'>('a');
+    const items = new Box(['x', 'y']);
+    const result = renderer.render(
+      <div>
+        {If(show, () => 'Shown')}
+        {Switch(mode, { a: () => 'A', b: () => 'B' })}
+        {For(items, (item) => item)}
+      </div>
+    ) as NodeLike;
+    expect(getTextContent(result)).toBe('Axy');
+
+    show.set(true);
+    mode.next('b');
+    items.set(['z']);
+    expect(getTextContent(result)).toBe('ShownBz');
+  });
+
+  it('should unsubscribe when the owning branch is disposed', () => {
+    const renderer = getActiveRenderer();
+    const show = Cell.source(true);
+    const label = new Subject('Label');
+    const result = renderer.render(
+      <div>
+        {If(show, () => (
+          <span>{label}</span>
+        ))}
+      </div>
+    ) as NodeLike;
+    expect(label.size).toBe(1);
+
+    show.set(false);
+    expect(label.size).toBe(0);
+    label.next('Changed');
+    expect(getTextContent(result)).toBe('');
+  });
+
+  it('should leave values of unregistered types alone', () => {
+    const renderer = getActiveRenderer();
+    for (const remove of unregister) remove();
+    const count = new Box(1);
+    count.toString = () => 'Box';
+    const result = renderer.render(<p>{count}</p>) as NodeLike;
+    count.set(2);
+    expect(getTextContent(result)).toBe('Box');
+  });
+};
+
+describe('Reactive Adapters', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
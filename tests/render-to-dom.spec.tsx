@@ -0,0 +1,85 @@
+import { Cell, If, onSetup } from 'retend';
+import { Teleport, renderToDOM } from 'retend-web';
+import { describe, expect, it, vi } from 'vitest';
+
+import { browserSetup, timeout } from './setup.tsx';
+
+describe('renderToDOM', () => {
+  describe('Browser', () => {
+    browserSetup();
+
+    it('should remove the app and dispose its effects on unmount', async () => {
+      const root = window.document.createElement('div');
+      window.document.body.append(root);
+      const cleanup = vi.fn();
+      const title = Cell.source('Hello');
+      const show = Cell.source(true);
+      const App = () => {
+        onSetup(() => cleanup);
+        return (
+          <>
+            <h1 title={title}>{title}</h1>
+            {If(show, () => (
+              <p>Shown</p>
+            ))}
+          </>
+        );
+      };
+
+      const app = renderToDOM(root, App);
+      await timeout();
+      expect(root.textContent).toBe('HelloShown');
+      const heading = root.querySelector('h1') as HTMLElement;
+
+      app.unmount();
+      expect(root.childNodes.length).toBe(0);
+      expect(cleanup).toHaveBeenCalledTimes(1);
+
+      title.set('Goodbye');
+      show.set(false);
+      expect(heading.getAttribute('title')).toBe('Hello');
+      expect(heading.textContent).toBe('Hello');
+    });
+
+    it('should remove teleported nodes on unmount', async () => {
+      const target = window.document.createElement('div');
+      target.id = 'teleport-target';
+      const root = window.document.createElement('div');
+      window.document.body.append(target, root);
+      const App = () => (
+        <Teleport to="#teleport-target">
+          <span>Teleported</span>
+        </Teleport>
+      );
+
+      const app = renderToDOM(root, App);
+      await timeout();
+      expect(target.textContent).toBe('Teleported');
+
+      app.unmount();
+      expect(target.textContent).toBe('');
+    });
+
+    it('should replace the app in the same element', async () => {
+      const root = window.document.createElement('div');
+      const sibling = window.document.createElement('footer');
+      root.append(sibling);
+      window.document.body.append(root);
+      const cleanup = vi.fn();
+      const First = () => {
+        onSetup(() => cleanup);
+        return <p>First</p>;
+      };
+
+      const app = renderToDOM(root, First);
+      await timeout();
+      app.replace(() => <p>Second</p>);
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      expect(root.textContent).toBe('Second');
+      expect(root.firstChild).toBe(sibling);
+
+      app.unmount();
+      expect(root.childNodes.length).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  Cell,
+  If,
+  RendererBoundary,
+  createScope,
+  getActiveRenderer,
+  useScopeContext,
+  type Renderer,
+  type RendererMount,
+} from 'retend';
+import { TestRenderer, type TestNode } from 'retend/testing';
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  vDomSetup,
+} from './setup.tsx';
+
+const createMount = (inner: TestRenderer) =>
+  ({
+    mount(output) {
+      inner.append(inner.root, output);
+      return <div class="host" />;
+    },
+    unmount: vi.fn(),
+  }) satisfies RendererMount<TestNode>;
+
+const runTests = () => {
+  it('should render its children with its own renderer', () => {
+    const renderer = getActiveRenderer();
+    const inner = new TestRenderer();
+    const seen: Renderer<any>[] = [];
+    const Preview = () => {
+      seen.push(getActiveRenderer());
+      return <p>Preview</p>;
+    };
+    const result = renderer.render(
+      <section>
+        Page
+        <RendererBoundary renderer={inner} mount={createMount(inner)}>
+          <Preview />
+        </RendererBoundary>
+      </section>
+    ) as NodeLike;
+
+    expect(getTextContent(result)).toBe('Page');
+    expect(inner.root.find('p')?.textContent).toBe('Preview');
+    expect(seen).toEqual([inner]);
+    expect(getActiveRenderer()).toBe(renderer);
+  });
+
+  it('should pass scopes across the boundary', () => {
+    const renderer = getActiveRenderer();
+    const inner = new TestRenderer();
+    const Theme = createScope<string>('BoundaryTheme');
+    const Label = () => <span>{useScopeContext(Theme)}</span>;
+    renderer.render(
+      <Theme.Provider value="dark">
+        <RendererBoundary renderer={inner} mount={createMount(inner)}>
+          <Label />
+        </RendererBoundary>
+      </Theme.Provider>
+    );
+    expect(inner.root.textContent).toBe('dark');
+  });
+
+  it('should re-render reactive blocks with its renderer', () => {
+    const renderer = getActiveRenderer();
+    const inner = new TestRenderer();
+    const show = Cell.source(false);
+    const seen: Renderer<any>[] = [];
+    const Content = () => {
+      seen.push(getActiveRenderer());
+      return <b>Shown</b>;
+    };
+    renderer.render(
+      <div>
+        <RendererBoundary renderer={inner} mount={createMount(inner)}>
+          {If(show, Content)}
+        </RendererBoundary>
+      </div>
+    );
+
+    show.set(true);
+    expect(inner.root.find('b')?.textContent).toBe('Shown');
+    expect(seen).toEqual([inner]);
+  });
+
+  it('should unmount its output when disposed', () => {
+    const renderer = getActiveRenderer();
+    const inner = new TestRenderer();
+    const mount = createMount(inner);
+    const show = Cell.source(true);
+    const result = renderer.render(
+      <div>
+        {If(show, () => (
+          <RendererBoundary renderer={inner} mount={mount}>
+            <i>Inner</i>
+          </RendererBoundary>
+        ))}
+      </div>
+    ) as NodeLike;
+    expect(mount.unmount).not.toHaveBeenCalled();
+
+    show.set(false);
+    expect(mount.unmount).toHaveBeenCalledTimes(1);
+    expect(getTextContent(result)).toBe('');
+  });
+};
+
+describe('RendererBoundary', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
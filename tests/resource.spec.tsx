@@ -0,0 +1,192 @@
+import {
+  Await,
+  Cell,
+  createResource,
+  getActiveRenderer,
+  invalidateResources,
+} from 'retend';
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from './setup.tsx';
+
+const createFetcher = () => {
+  const requests: Array<{
+    key: unknown;
+    signal: AbortSignal;
+    resolve: (value: string) => void;
+    reject: (reason: unknown) => void;
+  }> = [];
+  const fetcher = vi.fn(
+    (key: unknown, { signal }: { signal: AbortSignal }) =>
+      new Promise<string>((resolve, reject) => {
+        requests.push({ key, signal, resolve, reject });
+      })
+  );
+  return { fetcher, requests };
+};
+
+const runTests = () => {
+  it('should fetch the data for the key', async () => {
+    const { fetcher, requests } = createFetcher();
+    const user = createResource('user', fetcher);
+    expect(user.loading.get()).toBe(true);
+    expect(user.data.get()).toBe(undefined);
+    expect(requests[0].key).toBe('user');
+
+    requests[0].resolve('Alice');
+    await timeout();
+    expect(user.loading.get()).toBe(false);
+    expect(user.data.get()).toBe('Alice');
+  });
+
+  it('should share one request between resources with the same key', async () => {
+    const { fetcher, requests } = createFetcher();
+    const first = createResource(['users', 1], fetcher);
+    const second = createResource(['users', 1], fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    requests[0].resolve('Alice');
+    await timeout();
+    expect(first.data.get()).toBe('Alice');
+    expect(second.data.get()).toBe('Alice');
+  });
+
+  it('should serve cached data while revalidating a changed key', async () => {
+    const { fetcher, requests } = createFetcher();
+    const id = Cell.source(1);
+    const key = Cell.derived(() => ['users', id.get()]);
+    const user = createResource(key, fetcher);
+    requests[0].resolve('Alice');
+    await timeout();
+
+    id.set(2);
+    expect(user.data.get()).toBe(undefined);
+    requests[1].resolve('Bob');
+    await timeout();
+    expect(user.data.get()).toBe('Bob');
+
+    id.set(1);
+    expect(user.data.get()).toBe('Alice');
+    expect(user.loading.get()).toBe(true);
+    requests[2].resolve('Alicia');
+    await timeout();
+    expect(user.data.get()).toBe('Alicia');
+  });
+
+  it('should not refetch fresh data', async () => {
+    const { fetcher, requests } = createFetcher();
+    const id = Cell.source(1);
+    const key = Cell.derived(() => ['users', id.get()]);
+    createResource(key, fetcher, { staleTime: 60_000 });
+    requests[0].resolve('Alice');
+    await timeout();
+
+    id.set(2);
+    id.set(1);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report failed requests through the error cell', async () => {
+    const { fetcher, requests } = createFetcher();
+    const user = createResource('user', fetcher);
+    requests[0].reject(new Error('Not found'));
+    await timeout();
+    expect((user.error.get() as Error).message).toBe('Not found');
+    expect(user.loading.get()).toBe(false);
+
+    user.refetch();
+    requests[1].resolve('Alice');
+    await timeout();
+    expect(user.error.get()).toBe(null);
+    expect(user.data.get()).toBe('Alice');
+  });
+
+  it('should update every resource sharing a key when mutated', async () => {
+    const { fetcher, requests } = createFetcher();
+    const first = createResource('count', fetcher);
+    const second = createResource('count', fetcher);
+    requests[0].resolve('1');
+    await timeout();
+
+    first.mutate((current) => `${current}!`);
+    expect(first.data.get()).toBe('1!');
+    expect(second.data.get()).toBe('1!');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep mutated data when an earlier request resolves', async () => {
+    const { fetcher, requests } = createFetcher();
+    const count = createResource('count', fetcher);
+    count.mutate('2');
+    expect(count.data.get()).toBe('2');
+    expect(count.loading.get()).toBe(true);
+
+    requests[0].resolve('1');
+    await timeout();
+    expect(count.loading.get()).toBe(false);
+    expect(count.data.get()).toBe('2');
+  });
+
+  it('should refetch resources matching an invalidated prefix', async () => {
+    const { fetcher, requests } = createFetcher();
+    const user = createResource(['users', 1], fetcher);
+    const posts = createResource(['users', 1, 'posts'], fetcher);
+    const settings = createResource(['settings'], fetcher);
+    const firstUserRequest = requests[0];
+    requests[1].resolve('Posts');
+    requests[2].resolve('Settings');
+    await timeout();
+
+    invalidateResources(['users', 1]);
+    expect(firstUserRequest.signal.aborted).toBe(true);
+    expect(fetcher).toHaveBeenCalledTimes(5);
+    expect(posts.loading.get()).toBe(true);
+    expect(settings.loading.get()).toBe(false);
+
+    requests[3].resolve('Alice');
+    requests[4].resolve('New posts');
+    await timeout();
+    expect(user.data.get()).toBe('Alice');
+    expect(posts.data.get()).toBe('New posts');
+  });
+
+  it('should hold back Await until the first request settles', async () => {
+    const renderer = getActiveRenderer();
+    const { fetcher, requests } = createFetcher();
+    const Profile = () => {
+      const user = createResource('user', fetcher);
+      return <span>{user.data}</span>;
+    };
+    const App = () => (
+      <div>
+        <Await fallback={<span>Loading</span>}>
+          <Profile />
+        </Await>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Loading');
+
+    requests[0].resolve('Alice');
+    await timeout();
+    expect(getTextContent(result)).toBe('Alice');
+  });
+};
+
+describe('createResource', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
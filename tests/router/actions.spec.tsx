@@ -0,0 +1,231 @@
+import type { DOMRenderer } from 'retend-web';
+
+import { Cell, getActiveRenderer, setErrorHandler } from 'retend';
+import {
+  Router,
+  createRouterRoot,
+  defineRoutes,
+  redirect,
+  useLoaderData,
+  useRouter,
+} from 'retend/router';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  getTextContent,
+  routerSetupBrowser,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+describe('Router Actions', () => {
+  vDomSetup();
+
+  afterEach(() => {
+    setErrorHandler(null);
+  });
+
+  it('should run the action and then the loaders again', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const todos = ['Write tests'];
+    const Todos = () => {
+      const data = useLoaderData<string[]>();
+      return (
+        <p>{Cell.derivedAsync(async (get) => (await get(data)).join(','))}</p>
+      );
+    };
+
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/todos',
+          component: Todos,
+          loader: async () => [...todos],
+          action: ({ formData }) => {
+            todos.push(String(formData.get('title')));
+          },
+        },
+      ]),
+    });
+    router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/todos');
+    await timeout();
+    expect(getTextContent(window.document.body)).toBe('Write tests');
+
+    const formData = new FormData();
+    formData.set('title', 'Ship it');
+    await router.submit(formData);
+    await timeout();
+    expect(getTextContent(window.document.body)).toBe('Write tests,Ship it');
+    expect(router.getCurrentRoute().get().fullPath).toBe('/todos');
+  });
+
+  it('should pass the params of the action route', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const action = vi.fn();
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/', component: () => 'Home' },
+        { path: '/posts/:id', component: () => 'Post', action },
+      ]),
+    });
+    router.attachWindowListeners(window);
+
+    await router.navigate('/');
+    await router.submit(new FormData(), { action: '/posts/42' });
+    expect(action).toHaveBeenCalledTimes(1);
+    expect(action.mock.calls[0][0].params.get('id')).toBe('42');
+  });
+
+  it('should navigate when the action redirects', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/new',
+          component: () => 'New',
+          action: () => redirect('/done'),
+        },
+        { path: '/done', component: () => 'Done' },
+      ]),
+    });
+    router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/new');
+    await router.submit(new FormData());
+    await timeout();
+    expect(router.getCurrentRoute().get().fullPath).toBe('/done');
+    expect(getTextContent(window.document.body)).toBe('Done');
+  });
+
+  it('should report the navigation state', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    let finishAction = () => {};
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/',
+          component: () => 'Home',
+          action: () =>
+            new Promise<void>((resolve) => {
+              finishAction = resolve;
+            }),
+        },
+      ]),
+    });
+    router.attachWindowListeners(window);
+    await router.navigate('/');
+    await timeout();
+
+    const navigation = router.getNavigation();
+    expect(navigation.get()).toBe('idle');
+
+    const submission = router.submit(new FormData());
+    await timeout();
+    expect(navigation.get()).toBe('submitting');
+
+    finishAction();
+    await submission;
+    await timeout();
+    expect(navigation.get()).toBe('idle');
+  });
+
+  it('should report and dispatch an error event when the action fails', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const phases: string[] = [];
+    setErrorHandler((_error, origin) => phases.push(origin.phase));
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/',
+          component: () => 'Home',
+          action: () => {
+            throw new Error('Save failed');
+          },
+        },
+      ]),
+    });
+    router.attachWindowListeners(window);
+    const onError = vi.fn();
+    router.addEventListener('routeerror', onError);
+
+    await router.navigate('/');
+    await router.submit(new FormData());
+    await timeout();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].detail.error.message).toBe('Save failed');
+    expect(phases).toEqual(['action']);
+    expect(router.getNavigation().get()).toBe('idle');
+  });
+
+  it('should render Form as a form that posts to its action', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const NewPost = () => {
+      const router = useRouter();
+      return (
+        <router.Form action="/posts">
+          <input name="title" />
+        </router.Form>
+      );
+    };
+    const router = new Router({
+      routes: defineRoutes([{ path: '/', component: NewPost }]),
+    });
+    router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/');
+    await timeout();
+    const form = window.document.body.querySelector('form');
+    expect(form?.getAttribute('action')).toBe('/posts');
+    expect(form?.getAttribute('method')).toBe('post');
+  });
+});
+
+describe('Router Forms', () => {
+  routerSetupBrowser();
+
+  it('should let onSubmit stop the form from being submitted', async () => {
+    const action = vi.fn();
+    const valid = Cell.source(false);
+    const onSubmit = vi.fn((event: SubmitEvent) => {
+      if (!valid.get()) event.preventDefault();
+    });
+    const NewPost = () => {
+      const router = useRouter();
+      return (
+        <router.Form onSubmit={onSubmit}>
+          <input name="title" />
+        </router.Form>
+      );
+    };
+    const router = new Router({
+      routes: defineRoutes([{ path: '/', component: NewPost, action }]),
+    });
+    const detach = router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+    await router.navigate('/');
+
+    const form = window.document.querySelector('form')!;
+    form.requestSubmit();
+    await timeout();
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(action).not.toHaveBeenCalled();
+
+    valid.set(true);
+    form.requestSubmit();
+    await vi.waitFor(() => expect(action).toHaveBeenCalledTimes(1));
+    expect(onSubmit).toHaveBeenCalledTimes(2);
+    expect(window.location.pathname).toBe('/');
+    detach();
+  });
+});
@@ -0,0 +1,231 @@
+import type { DOMRenderer } from 'retend-web';
+
+import { Cell, getActiveRenderer, runPendingSetupEffects } from 'retend';
+import {
+  Router,
+  createRouterRoot,
+  defineRoutes,
+  useBlocker,
+} from 'retend/router';
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  getTextContent,
+  routerSetupBrowser,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+describe('Router Blockers', () => {
+  describe('VDom', () => {
+    vDomSetup();
+
+    it('should cancel navigation when a blocker returns false', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/edit', component: () => 'Edit' },
+          { path: '/home', component: () => 'Home' },
+        ]),
+      });
+      router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+
+      await router.navigate('/edit');
+      const removeBlocker = router.addBlocker(() => false);
+      await router.navigate('/home');
+      expect(router.getCurrentRoute().get().fullPath).toBe('/edit');
+      expect(getTextContent(window.document.body)).toBe('Edit');
+
+      removeBlocker();
+      await router.navigate('/home');
+      expect(router.getCurrentRoute().get().fullPath).toBe('/home');
+    });
+
+    it('should wait for async blockers and pass them the routes', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/edit', component: () => 'Edit' },
+          { name: 'user', path: '/users/:id', component: () => 'User' },
+        ]),
+      });
+      router.attachWindowListeners(window);
+
+      await router.navigate('/edit');
+      let answer = (_proceed: boolean) => {};
+      const blocker = vi.fn(
+        () =>
+          new Promise<boolean>((resolve) => {
+            answer = resolve;
+          })
+      );
+      router.addBlocker(blocker);
+
+      const navigation = router.navigate('/users/7');
+      await timeout();
+      expect(router.getCurrentRoute().get().fullPath).toBe('/edit');
+      const [{ from, to }] = blocker.mock.calls[0] as any;
+      expect(from.fullPath).toBe('/edit');
+      expect(to.name).toBe('user');
+      expect(to.params.get('id')).toBe('7');
+
+      answer(true);
+      await navigation;
+      expect(router.getCurrentRoute().get().fullPath).toBe('/users/7');
+    });
+
+    it('should block going back', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/list', component: () => 'List' },
+          { path: '/edit', component: () => 'Edit' },
+        ]),
+      });
+      router.attachWindowListeners(window);
+
+      await router.navigate('/list');
+      await router.navigate('/edit');
+      router.addBlocker(() => false);
+      await router.back();
+      expect(router.getCurrentRoute().get().fullPath).toBe('/edit');
+    });
+
+    it('should not ask again for redirects', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/edit', component: () => 'Edit' },
+          { path: '/old', redirect: '/new', component: () => 'Old' },
+          { path: '/new', component: () => 'New' },
+        ]),
+      });
+      router.attachWindowListeners(window);
+
+      await router.navigate('/edit');
+      const blocker = vi.fn(() => true);
+      router.addBlocker(blocker);
+      await router.navigate('/old');
+      expect(router.getCurrentRoute().get().fullPath).toBe('/new');
+      expect(blocker).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remove the blockers of disposed components', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const hasChanges = Cell.source(true);
+      const Editor = () => {
+        useBlocker(() => !hasChanges.get());
+        return 'Editor';
+      };
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/edit', component: Editor },
+          { path: '/home', component: () => 'Home' },
+          { path: '/about', component: () => 'About' },
+        ]),
+      });
+      router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+
+      await router.navigate('/edit');
+      await runPendingSetupEffects();
+      await router.navigate('/home');
+      expect(router.getCurrentRoute().get().fullPath).toBe('/edit');
+
+      hasChanges.set(false);
+      await router.navigate('/home');
+      expect(router.getCurrentRoute().get().fullPath).toBe('/home');
+
+      hasChanges.set(true);
+      await router.navigate('/about');
+      expect(router.getCurrentRoute().get().fullPath).toBe('/about');
+    });
+  });
+
+  describe('Browser', () => {
+    routerSetupBrowser();
+
+    it('should restore the URL of a blocked back button press', async () => {
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/list', component: () => 'List' },
+          { path: '/edit', component: () => 'Edit' },
+        ]),
+      });
+      const detach = router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+
+      await router.navigate('/list');
+      await router.navigate('/edit');
+      const blocker = vi.fn(() => false);
+      router.addBlocker(blocker);
+      const { length } = window.history;
+
+      window.history.back();
+      await vi.waitFor(() => expect(blocker).toHaveBeenCalled());
+      await timeout();
+      await vi.waitFor(() => expect(window.location.pathname).toBe('/edit'));
+      expect(window.history.length).toBe(length);
+      expect(router.getCurrentRoute().get().fullPath).toBe('/edit');
+      detach();
+    });
+
+    it('should keep the history of a blocked forward button press', async () => {
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/list', component: () => 'List' },
+          { path: '/edit', component: () => 'Edit' },
+        ]),
+      });
+      const detach = router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+
+      await router.navigate('/list');
+      await router.navigate('/edit');
+      window.history.back();
+      await vi.waitFor(() =>
+        expect(router.getCurrentRoute().get().fullPath).toBe('/list')
+      );
+      const removeBlocker = router.addBlocker(() => false);
+
+      window.history.forward();
+      await timeout();
+      await vi.waitFor(() => expect(window.location.pathname).toBe('/list'));
+      expect(router.getCurrentRoute().get().fullPath).toBe('/list');
+
+      removeBlocker();
+      window.history.forward();
+      await vi.waitFor(() =>
+        expect(router.getCurrentRoute().get().fullPath).toBe('/edit')
+      );
+      expect(window.location.pathname).toBe('/edit');
+      detach();
+    });
+
+    it('should ask the browser to confirm unloading the page', async () => {
+      const router = new Router({
+        routes: defineRoutes([{ path: '/edit', component: () => 'Edit' }]),
+      });
+      const detach = router.attachWindowListeners(window);
+      await router.navigate('/edit');
+
+      const removeBlocker = router.addBlocker(({ to }) => to !== null);
+      const event = new Event('beforeunload', { cancelable: true });
+      window.dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(true);
+
+      removeBlocker();
+      router.addBlocker(() => true);
+      const nextEvent = new Event('beforeunload', { cancelable: true });
+      window.dispatchEvent(nextEvent);
+      expect(nextEvent.defaultPrevented).toBe(false);
+      detach();
+    });
+  });
+});
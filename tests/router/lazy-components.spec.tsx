@@ -0,0 +1,101 @@
+import { Await, ErrorBoundary, getActiveRenderer } from 'retend';
+import { LazyImportError, lazy } from 'retend/router';
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+const Greeting = (props: { name: string }) => <span>Hello, {props.name}</span>;
+
+const runTests = () => {
+  it('should render a lazy component with its props under Await', async () => {
+    const renderer = getActiveRenderer();
+    const LazyGreeting = lazy(() => Promise.resolve({ default: Greeting }));
+    const App = () => (
+      <div>
+        <Await fallback={<span>Loading</span>}>
+          <LazyGreeting name="Ada" />
+        </Await>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Loading');
+
+    await timeout();
+    expect(getTextContent(result)).toBe('Hello, Ada');
+  });
+
+  it('should render preloaded components immediately', async () => {
+    const renderer = getActiveRenderer();
+    const importer = vi.fn(() => Promise.resolve({ default: Greeting }));
+    const LazyGreeting = lazy(importer);
+    expect(await LazyGreeting.preload()).toBe(Greeting);
+    await LazyGreeting.preload();
+
+    const App = () => (
+      <div>
+        <LazyGreeting name="Grace" />
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('Hello, Grace');
+    expect(importer).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report failed imports', async () => {
+    const renderer = getActiveRenderer();
+    const LazyGreeting = lazy(() => Promise.reject(new Error('Network error')));
+    const App = () => (
+      <div>
+        <ErrorBoundary
+          fallback={(error) => (
+            <span>
+              {error instanceof LazyImportError
+                ? (error.cause as Error).message
+                : 'Unknown'}
+            </span>
+          )}
+        >
+          <LazyGreeting name="Ada" />
+        </ErrorBoundary>
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    await timeout();
+    expect(getTextContent(result)).toBe('Network error');
+  });
+
+  it('should retry the import after a failure', async () => {
+    const importer = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce({ default: Greeting });
+    const LazyGreeting = lazy(importer);
+    await expect(LazyGreeting.preload()).rejects.toThrow('Network error');
+    await expect(LazyGreeting.preload()).resolves.toBe(Greeting);
+  });
+
+  it('should report modules without a default export', async () => {
+    const LazyGreeting = lazy(() =>
+      Promise.resolve({ Greeting } as unknown as { default: typeof Greeting })
+    );
+    await expect(LazyGreeting.preload()).rejects.toThrow(/no default export/);
+  });
+};
+
+describe('Lazy Components', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
@@ -0,0 +1,186 @@
+import type { VDOMRenderer } from 'retend-server/v-dom';
+import type { DOMRenderer } from 'retend-web';
+
+import { Await, Cell, getActiveRenderer, waitForAsyncBoundaries } from 'retend';
+import { renderToString } from 'retend-server/client';
+import {
+  Router,
+  RouterProvider,
+  createRouterRoot,
+  defineRoutes,
+  lazy,
+  useLoaderData,
+  useRouter,
+} from 'retend/router';
+import { describe, expect, it, vi } from 'vitest';
+
+import { getTextContent, timeout, vDomSetup } from '../setup.tsx';
+
+describe('Router Loaders', () => {
+  vDomSetup();
+
+  it('should pass loader data to the route component', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const UserPage = () => {
+      const user = useLoaderData<{ name: string }>();
+      const name = Cell.derivedAsync(async (get) => (await get(user)).name);
+      return <h1>{name}</h1>;
+    };
+
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/users/:id',
+          component: UserPage,
+          loader: async ({ params }) => ({ name: `User ${params.get('id')}` }),
+        },
+      ]),
+    });
+    router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/users/1');
+    await timeout();
+    expect(getTextContent(window.document.body)).toBe('User 1');
+
+    await router.navigate('/users/2');
+    await timeout();
+    expect(getTextContent(window.document.body)).toBe('User 2');
+  });
+
+  it('should run the loaders of nested routes in parallel', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const started: string[] = [];
+    const resolvers: Record<string, (value: string) => void> = {};
+    const loader = (name: string) => () => {
+      started.push(name);
+      return new Promise<string>((resolve) => {
+        resolvers[name] = resolve;
+      });
+    };
+
+    const Layout = () => {
+      const data = useLoaderData<string>();
+      const router = useRouter();
+      return (
+        <div>
+          {data}:<router.Outlet />
+        </div>
+      );
+    };
+    const Page = () => <span>{useLoaderData<string>()}</span>;
+
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/app',
+          component: Layout,
+          loader: loader('layout'),
+          children: [
+            {
+              path: 'page',
+              component: lazy(() => Promise.resolve({ default: Page })),
+              loader: loader('page'),
+            },
+          ],
+        },
+      ]),
+    });
+    router.attachWindowListeners(window);
+    const App = () => (
+      <Await fallback="Loading">
+        <RouterProvider router={router}>
+          <router.Outlet />
+        </RouterProvider>
+      </Await>
+    );
+    window.document.body.append(renderer.render(App) as Node);
+
+    const navigation = router.navigate('/app/page');
+    await timeout();
+    expect(started).toEqual(['layout', 'page']);
+
+    resolvers.page('Page');
+    resolvers.layout('Layout');
+    await navigation;
+    await timeout();
+    expect(getTextContent(window.document.body)).toBe('Layout:Page');
+  });
+
+  it('should abort loaders of a superseded navigation', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const signals: AbortSignal[] = [];
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/:id',
+          component: () => 'Page',
+          loader: ({ signal }) => {
+            signals.push(signal);
+            return new Promise(() => {});
+          },
+        },
+      ]),
+    });
+    router.attachWindowListeners(window);
+
+    await router.navigate('/a');
+    await router.navigate('/b');
+    expect(signals).toHaveLength(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  it('should not run loaders for unmatched routes', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const loader = vi.fn();
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/home', component: () => 'Home' },
+        { path: '/about', component: () => 'About', loader },
+      ]),
+    });
+    router.attachWindowListeners(window);
+
+    await router.navigate('/home');
+    expect(loader).not.toHaveBeenCalled();
+  });
+
+  it('should render loader data into statically generated pages', async () => {
+    const renderer = getActiveRenderer() as VDOMRenderer;
+    const { host: window } = renderer;
+    const UserPage = () => {
+      const user = useLoaderData<{ name: string }>();
+      const name = Cell.derivedAsync(async (get) => (await get(user)).name);
+      return <h1>{name}</h1>;
+    };
+    const router = new Router({
+      routes: defineRoutes([
+        {
+          path: '/users/:id',
+          component: UserPage,
+          loader: async ({ params }) => {
+            await timeout(20);
+            return { name: `User ${params.get('id')}` };
+          },
+        },
+      ]),
+    });
+    router.attachWindowListeners(window as any);
+
+    // The steps retend-server takes to build a page.
+    const root = renderer.render(() =>
+      Await({ children: () => createRouterRoot(router) })
+    );
+    window.document.body.append(...[root].flat());
+    await router.navigate('/users/1');
+    await router.waitForLoaders();
+    await waitForAsyncBoundaries();
+    const html = renderToString(window.document.body, window);
+    expect(html).toContain('User 1');
+  });
+});
@@ -1,6 +1,6 @@
 import type { DOMRenderer } from 'retend-web';
 
-import { getActiveRenderer } from 'retend';
+import { getActiveRenderer, setErrorHandler } from 'retend';
 import {
   type RouterMiddleware,
   Router,
@@ -8,13 +8,17 @@ import {
   defineRoutes,
   redirect,
 } from 'retend/router';
-import { describe, it, expect, vi } from 'vitest';
+import { afterEach, describe, it, expect, vi } from 'vitest';
 
 import { vDomSetup } from '../setup.tsx';
 
 describe('Router Middlewares', () => {
   vDomSetup();
 
+  afterEach(() => {
+    setErrorHandler(null);
+  });
+
   it('should execute middleware before route change', async () => {
     const renderer = getActiveRenderer() as DOMRenderer;
     const { host: window } = renderer;
@@ -231,4 +235,32 @@ describe('Router Middlewares', () => {
     expect(params.get('id')).toBe('123');
     expect(query.get('tab')).toBe('profile');
   });
+
+  it('should report middleware errors and cancel the navigation', async () => {
+    const renderer = getActiveRenderer() as DOMRenderer;
+    const { host: window } = renderer;
+    const handler = vi.fn();
+    setErrorHandler(handler);
+    const failure = new Error('Session expired');
+    const failingMiddleware = defineRouterMiddleware((details) => {
+      if (details.to.path === '/account') throw failure;
+    });
+
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/home', name: 'home', component: () => 'Home' },
+        { path: '/account', name: 'account', component: () => 'Account' },
+      ]),
+      middlewares: [failingMiddleware],
+    });
+    const routeError = vi.fn();
+    router.addEventListener('routeerror', routeError);
+    router.attachWindowListeners(window);
+
+    await router.navigate('/home');
+    await router.navigate('/account');
+    expect(router.getCurrentRoute().get().path).toBe('/home');
+    expect(handler).toHaveBeenCalledWith(failure, { phase: 'middleware' });
+    expect(routeError).toHaveBeenCalledTimes(1);
+  });
 });
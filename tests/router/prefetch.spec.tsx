@@ -0,0 +1,241 @@
+import type { DOMRenderer } from 'retend-web';
+
+import { getActiveRenderer, runPendingSetupEffects } from 'retend';
+import {
+  Router,
+  createRouterRoot,
+  defineRoutes,
+  lazy,
+  useRouter,
+} from 'retend/router';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  getTextContent,
+  routerSetupBrowser,
+  timeout,
+  vDomSetup,
+} from '../setup.tsx';
+
+describe('Router Prefetching', () => {
+  describe('VDom', () => {
+    vDomSetup();
+
+    it('should load lazy components and loaders ahead of navigation', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const importer = vi.fn(() =>
+        Promise.resolve({ default: () => 'Reports' })
+      );
+      const loader = vi.fn(async () => 'data');
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/', component: () => 'Home' },
+          { path: '/reports', component: lazy(importer), loader },
+        ]),
+      });
+      router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+      await router.navigate('/');
+
+      await router.prefetch('/reports');
+      expect(importer).toHaveBeenCalledTimes(1);
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      await router.navigate('/reports');
+      expect(getTextContent(window.document.body)).toBe('Reports');
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only prefetch a path once', async () => {
+      const loader = vi.fn(async () => 'data');
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/users/:id', component: () => 'User', loader },
+        ]),
+      });
+
+      await Promise.all([
+        router.prefetch('/users/1'),
+        router.prefetch('/users/1'),
+      ]);
+      await router.prefetch('/users/1');
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      await router.prefetch('/users/2');
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should load the data again for later navigations', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const loader = vi.fn(async () => 'data');
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/', component: () => 'Home' },
+          { path: '/reports', component: () => 'Reports', loader },
+        ]),
+      });
+      router.attachWindowListeners(window);
+
+      await router.prefetch('/reports');
+      await router.navigate('/reports');
+      await router.navigate('/');
+      await router.navigate('/reports');
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should abort prefetched loaders once their data is dropped', async () => {
+      const signals: AbortSignal[] = [];
+      const router = new Router({
+        routes: defineRoutes([
+          {
+            path: '/reports',
+            component: () => 'Reports',
+            loader: ({ signal }) => {
+              signals.push(signal);
+              return new Promise(() => {});
+            },
+            action: () => {},
+          },
+        ]),
+      });
+
+      await router.prefetch('/reports');
+      expect(signals[0].aborted).toBe(false);
+      await router.submit(new FormData(), { action: '/reports' });
+      expect(signals[0].aborted).toBe(true);
+    });
+
+    it('should abort prefetched loaders when their navigation is superseded', async () => {
+      const renderer = getActiveRenderer() as DOMRenderer;
+      const { host: window } = renderer;
+      const signals: AbortSignal[] = [];
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/', component: () => 'Home' },
+          {
+            path: '/reports',
+            component: () => 'Reports',
+            loader: ({ signal }) => {
+              signals.push(signal);
+              return new Promise(() => {});
+            },
+          },
+        ]),
+      });
+      router.attachWindowListeners(window);
+
+      await router.prefetch('/reports');
+      await router.navigate('/reports');
+      expect(signals).toHaveLength(1);
+      expect(signals[0].aborted).toBe(false);
+
+      await router.navigate('/');
+      expect(signals[0].aborted).toBe(true);
+    });
+
+    describe('with data saving', () => {
+      afterEach(() => {
+        Reflect.deleteProperty(navigator, 'connection');
+      });
+
+      it('should not prefetch anything', async () => {
+        Object.defineProperty(navigator, 'connection', {
+          value: { saveData: true },
+          configurable: true,
+        });
+        const loader = vi.fn(async () => 'data');
+        const router = new Router({
+          routes: defineRoutes([
+            { path: '/reports', component: () => 'Reports', loader },
+          ]),
+        });
+
+        await router.prefetch('/reports');
+        expect(loader).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Browser', () => {
+    routerSetupBrowser();
+
+    it('should prefetch when a link is hovered', async () => {
+      const loader = vi.fn(async () => 'data');
+      const Home = () => {
+        const router = useRouter();
+        return (
+          <router.Link href="/reports" prefetch="hover">
+            Reports
+          </router.Link>
+        );
+      };
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/', component: Home },
+          { path: '/reports', component: () => 'Reports', loader },
+        ]),
+      });
+      const detach = router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+      await router.navigate('/');
+      await runPendingSetupEffects();
+      expect(loader).not.toHaveBeenCalled();
+
+      const link = window.document.querySelector('a')!;
+      link.dispatchEvent(new MouseEvent('mouseenter'));
+      await timeout();
+      expect(loader).toHaveBeenCalledTimes(1);
+      detach();
+    });
+
+    it('should not pass router props on to the anchor', async () => {
+      const Home = () => {
+        const router = useRouter();
+        return (
+          <router.Link href="/reports" prefetch="none" replace>
+            Reports
+          </router.Link>
+        );
+      };
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/', component: Home },
+          { path: '/reports', component: () => 'Reports' },
+        ]),
+      });
+      const detach = router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+      await router.navigate('/');
+
+      const link = window.document.querySelector('a')!;
+      expect(link.getAttribute('href')).toBe('/reports');
+      expect(link.hasAttribute('prefetch')).toBe(false);
+      expect(link.hasAttribute('replace')).toBe(false);
+      detach();
+    });
+
+    it('should prefetch rendered links with the router default', async () => {
+      const loader = vi.fn(async () => 'data');
+      const Home = () => {
+        const router = useRouter();
+        return <router.Link href="/reports">Reports</router.Link>;
+      };
+      const router = new Router({
+        routes: defineRoutes([
+          { path: '/', component: Home },
+          { path: '/reports', component: () => 'Reports', loader },
+        ]),
+        defaultPrefetch: 'render',
+      });
+      const detach = router.attachWindowListeners(window);
+      window.document.body.append(createRouterRoot(router));
+      await router.navigate('/');
+      await runPendingSetupEffects();
+      await timeout();
+      expect(loader).toHaveBeenCalledTimes(1);
+      detach();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { Cell, onSetup, runPendingSetupEffects } from 'retend';
+import {
+  Router,
+  createRouterRoot,
+  defineRoutes,
+  useRouter,
+} from 'retend/router';
+import { describe, expect, it, vi } from 'vitest';
+
+import { routerSetupBrowser, timeout } from '../setup.tsx';
+
+const TallPage = () => (
+  <div style={{ height: '5000px' }}>
+    <h2 id="details" style={{ marginTop: '3000px' }}>
+      Details
+    </h2>
+  </div>
+);
+
+describe('Router Scroll Behavior', () => {
+  routerSetupBrowser();
+
+  it('should scroll new pages to the top', async () => {
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/first', component: TallPage },
+        { path: '/second', component: TallPage },
+      ]),
+      scrollBehavior: true,
+    });
+    const detach = router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/first');
+    window.scrollTo(0, 800);
+    await router.navigate('/second');
+    expect(window.scrollY).toBe(0);
+    detach();
+  });
+
+  it('should restore the scroll position when going back', async () => {
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/first', component: TallPage },
+        { path: '/second', component: TallPage },
+      ]),
+      scrollBehavior: true,
+    });
+    const detach = router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/first');
+    window.scrollTo(0, 800);
+    await router.navigate('/second');
+    window.scrollTo(0, 200);
+
+    await router.back();
+    await vi.waitFor(() => expect(window.scrollY).toBe(800));
+    detach();
+  });
+
+  it('should scroll to the element of the hash', async () => {
+    const router = new Router({
+      routes: defineRoutes([{ path: '/page', component: TallPage }]),
+      scrollBehavior: 'instant',
+    });
+    const detach = router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/page#details');
+    const heading = window.document.getElementById('details')!;
+    expect(Math.round(heading.getBoundingClientRect().top)).toBe(0);
+    detach();
+  });
+
+  it('should restore registered scroll containers', async () => {
+    const List = () => {
+      const router = useRouter();
+      const list = Cell.source<HTMLElement | null>(null);
+      onSetup(() => router.registerScrollContainer('list', list.get()!));
+      return (
+        <div ref={list} id="list" style={{ height: '100px', overflow: 'auto' }}>
+          <div style={{ height: '2000px' }} />
+        </div>
+      );
+    };
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/list', component: List },
+        { path: '/other', component: () => 'Other' },
+      ]),
+      scrollBehavior: true,
+    });
+    const detach = router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/list');
+    await runPendingSetupEffects();
+    window.document.getElementById('list')!.scrollTop = 300;
+    await router.navigate('/other');
+
+    await router.back();
+    await runPendingSetupEffects();
+    await vi.waitFor(() =>
+      expect(window.document.getElementById('list')?.scrollTop).toBe(300)
+    );
+    detach();
+  });
+
+  it('should leave scrolling to the browser without the option', async () => {
+    const router = new Router({
+      routes: defineRoutes([
+        { path: '/first', component: TallPage },
+        { path: '/second', component: TallPage },
+      ]),
+    });
+    const detach = router.attachWindowListeners(window);
+    window.document.body.append(createRouterRoot(router));
+
+    await router.navigate('/first');
+    window.scrollTo(0, 800);
+    await router.navigate('/second');
+    await timeout();
+    expect(window.scrollY).toBe(800);
+    expect(window.history.scrollRestoration).toBe('auto');
+    detach();
+  });
+});
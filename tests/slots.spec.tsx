@@ -0,0 +1,165 @@
+import { Cell, If, Slot, getActiveRenderer, hasSlot, useSlot } from 'retend';
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  vDomSetup,
+} from './setup.tsx';
+
+const Card = (_props: { children?: JSX.Children }) => {
+  const header = useSlot('header', 'Untitled');
+  const body = useSlot();
+  const footer = useSlot('footer');
+  return (
+    <section>
+      <header>{header}</header>
+      <main>{body}</main>
+      {hasSlot('footer') ? <footer>{footer}</footer> : null}
+    </section>
+  );
+};
+
+const runTests = () => {
+  it('should render named slots where the component places them', () => {
+    const renderer = getActiveRenderer();
+    const result = renderer.render(
+      <Card>
+        <Slot name="footer">Footer</Slot>
+        Body
+        <Slot name="header">Header</Slot>
+      </Card>
+    ) as NodeLike;
+
+    const element = result as Element;
+    expect(getTextContent(element.querySelector('header')!)).toBe('Header');
+    expect(getTextContent(element.querySelector('main')!)).toBe('Body');
+    expect(getTextContent(element.querySelector('footer')!)).toBe('Footer');
+  });
+
+  it('should render the fallback of unfilled slots', () => {
+    const renderer = getActiveRenderer();
+    const result = renderer.render(<Card>Body</Card>) as NodeLike;
+
+    const element = result as Element;
+    expect(getTextContent(element.querySelector('header')!)).toBe('Untitled');
+    expect(element.querySelector('footer')).toBeNull();
+  });
+
+  it('should find slots within fragments', () => {
+    const renderer = getActiveRenderer();
+    const result = renderer.render(
+      <Card>
+        <>
+          <Slot name="header">Header</Slot>
+        </>
+      </Card>
+    ) as NodeLike;
+
+    const element = result as Element;
+    expect(getTextContent(element.querySelector('header')!)).toBe('Header');
+  });
+
+  it('should only render slot content where it is used', () => {
+    const renderer = getActiveRenderer();
+    const rendered = vi.fn();
+    const Aside = () => {
+      rendered();
+      return <aside>Aside</aside>;
+    };
+    const Layout = (_props: { children?: JSX.Children }) => {
+      useSlot('aside');
+      return <div>Layout</div>;
+    };
+    renderer.render(
+      <Layout>
+        <Slot name="aside">
+          <Aside />
+        </Slot>
+      </Layout>
+    );
+
+    expect(rendered).not.toHaveBeenCalled();
+  });
+
+  it('should keep slot content reactive', () => {
+    const renderer = getActiveRenderer();
+    const title = Cell.source('First');
+    const result = renderer.render(
+      <Card>
+        <Slot name="header">{title}</Slot>
+      </Card>
+    ) as NodeLike;
+
+    const element = result as Element;
+    title.set('Second');
+    expect(getTextContent(element.querySelector('header')!)).toBe('Second');
+  });
+
+  it('should read slots when a reactive branch re-renders', () => {
+    const renderer = getActiveRenderer();
+    const open = Cell.source(false);
+    const Panel = (_props: { children?: JSX.Children }) => (
+      <div>
+        {If(open, {
+          true: () => (hasSlot('details') ? useSlot('details') : 'Empty'),
+          false: () => 'Closed',
+        })}
+      </div>
+    );
+    const result = renderer.render(
+      <Panel>
+        <Slot name="details">Details</Slot>
+      </Panel>
+    ) as NodeLike;
+    expect(getTextContent(result)).toBe('Closed');
+
+    open.set(true);
+    expect(getTextContent(result)).toBe('Details');
+  });
+
+  it('should not pass slots on to nested components', () => {
+    const renderer = getActiveRenderer();
+    const Inner = () => <span>{hasSlot('header') ? 'yes' : 'no'}</span>;
+    const Outer = (_props: { children?: JSX.Children }) => (
+      <div>
+        {useSlot('header')}
+        <Inner />
+      </div>
+    );
+    const result = renderer.render(
+      <Outer>
+        <Slot name="header">Header</Slot>
+      </Outer>
+    ) as NodeLike;
+
+    expect(getTextContent(result)).toBe('Headerno');
+  });
+
+  it('should render its children when the component ignores slots', () => {
+    const renderer = getActiveRenderer();
+    const Plain = (props: { children?: JSX.Children }) => (
+      <div>{props.children}</div>
+    );
+    const result = renderer.render(
+      <Plain>
+        <Slot name="header">Header</Slot>
+      </Plain>
+    ) as NodeLike;
+
+    expect(getTextContent(result)).toBe('Header');
+  });
+};
+
+describe('Slots', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  Cell,
+  For,
+  StoreWriteError,
+  createStore,
+  getActiveRenderer,
+  unwrapStore,
+} from 'retend';
+import { describe, expect, it } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  vDomSetup,
+} from './setup.tsx';
+
+const createTodos = () =>
+  createStore({
+    filter: 'all',
+    todos: [
+      { id: 1, title: 'A', done: false },
+      { id: 2, title: 'B', done: false },
+      { id: 3, title: 'C', done: false },
+    ],
+  });
+
+const runTests = () => {
+  it('should only recompute derived cells that read a changed path', () => {
+    const [store, setStore] = createTodos();
+    let firstRuns = 0;
+    let secondRuns = 0;
+    const first = Cell.derived(() => {
+      firstRuns++;
+      return store.todos[0].done;
+    });
+    const second = Cell.derived(() => {
+      secondRuns++;
+      return store.todos[1].done;
+    });
+    first.listen(() => {});
+    second.listen(() => {});
+    expect(first.get()).toBe(false);
+    expect(second.get()).toBe(false);
+    const initialSecondRuns = secondRuns;
+
+    setStore(['todos', 0, 'done'], true);
+    expect(first.get()).toBe(true);
+    expect(firstRuns).toBeGreaterThan(1);
+    expect(second.get()).toBe(false);
+    expect(secondRuns).toBe(initialSecondRuns);
+  });
+
+  it('should pass the current value to functional updates', () => {
+    const [store, setStore] = createTodos();
+    setStore(['todos', 2, 'title'], (title: string) => `${title}!`);
+    expect(store.todos[2].title).toBe('C!');
+  });
+
+  it('should apply recipes that mutate a draft', () => {
+    const [store, setStore] = createTodos();
+    const count = Cell.derived(() => store.todos.length);
+    count.listen(() => {});
+
+    setStore((draft) => {
+      draft.todos.push({ id: 4, title: 'D', done: true });
+      draft.filter = 'done';
+    });
+    expect(count.get()).toBe(4);
+    expect(store.filter).toBe('done');
+    expect(store.todos[3].title).toBe('D');
+  });
+
+  it('should return the same proxy for the same object', () => {
+    const [store, setStore] = createTodos();
+    const todo = store.todos[1];
+    setStore(['filter'], 'done');
+    expect(store.todos[1]).toBe(todo);
+    expect(unwrapStore(todo)).not.toBe(todo);
+  });
+
+  it('should not allow writing to the store directly', () => {
+    const [store] = createTodos();
+    expect(() => {
+      store.filter = 'done';
+    }).toThrow(StoreWriteError);
+  });
+
+  it('should update only the affected row of a keyed For', () => {
+    const renderer = getActiveRenderer();
+    const [store, setStore] = createTodos();
+    const todos = Cell.derived(() => [...store.todos]);
+    let rowRenders = 0;
+    let bindingRuns = 0;
+    const App = () => (
+      <ul>
+        {For(
+          todos,
+          (todo) => {
+            rowRenders++;
+            const mark = Cell.derived(() => {
+              bindingRuns++;
+              return todo.done ? 'x' : 'o';
+            });
+            return (
+              <li>
+                {todo.title}
+                {mark}
+              </li>
+            );
+          },
+          { key: 'id' }
+        )}
+      </ul>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('AoBoCo');
+    const initialBindingRuns = bindingRuns;
+
+    setStore(['todos', 1, 'done'], true);
+    expect(getTextContent(result)).toBe('AoBxCo');
+    expect(rowRenders).toBe(3);
+    expect(bindingRuns).toBe(initialBindingRuns + 1);
+
+    setStore((draft) => {
+      draft.todos.splice(0, 1);
+    });
+    expect(getTextContent(result)).toBe('BxCo');
+    expect(rowRenders).toBe(3);
+  });
+};
+
+describe('createStore', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});
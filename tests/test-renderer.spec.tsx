@@ -0,0 +1,179 @@
+import {
+  Await,
+  Cell,
+  For,
+  If,
+  createUnique,
+  onConnected,
+  onSetup,
+  setActiveRenderer,
+} from 'retend';
+import { resetGlobalContext, setGlobalContext } from 'retend/context';
+import { TestElement, TestRenderer } from 'retend/testing';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { timeout } from './setup.tsx';
+
+describe('TestRenderer', () => {
+  let renderer: TestRenderer;
+
+  beforeEach(() => {
+    setGlobalContext({ globalData: new Map() });
+    renderer = new TestRenderer();
+    setActiveRenderer(renderer);
+  });
+
+  afterEach(() => {
+    resetGlobalContext();
+  });
+
+  it('should render elements, text and properties', () => {
+    const title = Cell.source('Hello');
+    const root = renderer.mount(() => (
+      <section id="main" title={title}>
+        <h1>{title}</h1>
+        <p>World</p>
+      </section>
+    ));
+    expect(root.textContent).toBe('HelloWorld');
+
+    title.set('Goodbye');
+    const section = root.find('section') as TestElement;
+    expect(section.props).toEqual({ id: 'main', title: 'Goodbye' });
+    expect(root.find('h1')?.textContent).toBe('Goodbye');
+  });
+
+  it('should serialize the tree without handle markers', () => {
+    const show = Cell.source(true);
+    const root = renderer.mount(() => (
+      <ul class="list">
+        {If(show, () => (
+          <li>Item</li>
+        ))}
+      </ul>
+    ));
+    expect(JSON.parse(JSON.stringify(root))).toEqual({
+      tag: 'root',
+      props: {},
+      children: [
+        {
+          tag: 'ul',
+          props: { class: 'list' },
+          children: [{ tag: 'li', props: {}, children: ['Item'] }],
+        },
+      ],
+    });
+  });
+
+  it('should dispatch events to listeners', () => {
+    const count = Cell.source(0);
+    const root = renderer.mount(() => (
+      <button type="button" onClick={() => count.set(count.get() + 1)}>
+        {count}
+      </button>
+    ));
+    const button = root.findByText('0') as TestElement;
+    expect(button.dispatch('click')).toBe(true);
+    expect(button.textContent).toBe('1');
+    expect(button.dispatch('keydown')).toBe(false);
+  });
+
+  it('should reconcile keyed For lists and report moves', () => {
+    const items = Cell.source([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+    const onBeforeNodesMove = vi.fn();
+    const onBeforeNodeRemove = vi.fn();
+    const root = renderer.mount(() => (
+      <ul>
+        {For(
+          items,
+          (item) => (
+            <li>{item.id}</li>
+          ),
+          {
+            key: 'id',
+            onBeforeNodesMove,
+            onBeforeNodeRemove,
+          }
+        )}
+      </ul>
+    ));
+    const [a, b, c] = root.findAll('li');
+
+    items.set([items.get()[2], items.get()[0]]);
+    expect(root.textContent).toBe('ca');
+    expect(root.findAll('li')).toEqual([c, a]);
+    expect(onBeforeNodeRemove).toHaveBeenCalledWith(b, 1);
+    expect(onBeforeNodesMove).toHaveBeenCalled();
+  });
+
+  it('should run setup effects and connected callbacks on flush', async () => {
+    const setup = vi.fn();
+    const connected = vi.fn();
+    const show = Cell.source(true);
+    const Child = () => {
+      const ref = Cell.source<TestElement | null>(null);
+      onSetup(setup);
+      onConnected(ref, connected);
+      return <div ref={ref}>Child</div>;
+    };
+    renderer.mount(() => (
+      <main>
+        {If(show, () => (
+          <Child />
+        ))}
+      </main>
+    ));
+    expect(setup).not.toHaveBeenCalled();
+
+    await renderer.flush();
+    expect(setup).toHaveBeenCalledTimes(1);
+    expect(connected).toHaveBeenCalledTimes(1);
+    expect(connected.mock.calls[0][0]).toBeInstanceOf(TestElement);
+  });
+
+  it('should wait for async boundaries on flush', async () => {
+    const data = Cell.derivedAsync(async () => {
+      await timeout(5);
+      return 'Loaded';
+    });
+    const root = renderer.mount(() => (
+      <div>
+        <Await fallback={<span>Loading</span>}>
+          <span>{data}</span>
+        </Await>
+      </div>
+    ));
+    expect(root.textContent).toBe('Loading');
+
+    await renderer.flush();
+    expect(root.textContent).toBe('Loaded');
+  });
+
+  it('should move Unique components between positions', async () => {
+    const show = Cell.source(false);
+    const Content = createUnique(() => <div>Unique</div>);
+    const root = renderer.mount(() => (
+      <div>
+        <section>
+          {If(show, {
+            false: () => <Content id="content" />,
+          })}
+        </section>
+        <aside>
+          {If(show, () => (
+            <Content id="content" />
+          ))}
+        </aside>
+      </div>
+    ));
+    await renderer.flush();
+    const node = root.findByText('Unique');
+    expect(root.find('section')?.textContent).toBe('Unique');
+
+    show.set(true);
+    await renderer.flush();
+    expect(root.find('section')?.textContent).toBe('');
+    expect(root.find('aside')?.textContent).toBe('Unique');
+    expect(root.findByText('Unique')).toBe(node);
+  });
+});
@@ -0,0 +1,245 @@
+import {
+  Cell,
+  For,
+  type VirtualAdapter,
+  createVirtualRange,
+  getActiveRenderer,
+  runPendingSetupEffects,
+} from 'retend';
+import { createScrollAdapter } from 'retend-web';
+import { describe, expect, it } from 'vitest';
+
+import {
+  type NodeLike,
+  browserSetup,
+  getTextContent,
+  timeout,
+  vDomSetup,
+} from './setup.tsx';
+
+const createTestAdapter = (size: number) => {
+  const listeners = new Set<() => void>();
+  let offset = 0;
+  const adapter: VirtualAdapter = {
+    getOffset: () => offset,
+    getSize: () => size,
+    observe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+  };
+  const scrollTo = (next: number) => {
+    offset = next;
+    for (const listener of listeners) listener();
+  };
+  return { adapter, listeners, scrollTo };
+};
+
+const runTests = () => {
+  it('should render only the items within the range and overscan', () => {
+    const renderer = getActiveRenderer();
+    const items = Cell.source(Array.from({ length: 100 }, (_, i) => i));
+    const range = Cell.source({ start: 10, end: 13 });
+    const App = () => (
+      <div>
+        {For(
+          items,
+          (item) => (
+            <span>{item},</span>
+          ),
+          {
+            window: { range, overscan: 1 },
+          }
+        )}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('9,10,11,12,13,');
+  });
+
+  it('should report indices in the full list', () => {
+    const renderer = getActiveRenderer();
+    const items = Cell.source(['a', 'b', 'c', 'd', 'e']);
+    const range = Cell.source({ start: 3, end: 5 });
+    const App = () => (
+      <div>
+        {For(
+          items,
+          (item, index) => (
+            <span>
+              {item}
+              {index}
+            </span>
+          ),
+          { window: { range } }
+        )}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('d3e4');
+  });
+
+  it('should keep items that stay in range when the range moves', () => {
+    const renderer = getActiveRenderer();
+    const rows = Array.from({ length: 50 }, (_, i) => ({ id: i }));
+    const items = Cell.source(rows);
+    const range = Cell.source({ start: 0, end: 3 });
+    let created = 0;
+    const App = () => (
+      <div>
+        {For(
+          items,
+          (row) => {
+            created++;
+            return <span>{row.id},</span>;
+          },
+          { key: 'id', window: { range } }
+        )}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('0,1,2,');
+    expect(created).toBe(3);
+
+    range.set({ start: 2, end: 5 });
+    expect(getTextContent(result)).toBe('2,3,4,');
+    expect(created).toBe(5);
+
+    range.set({ start: 0, end: 3 });
+    expect(getTextContent(result)).toBe('0,1,2,');
+    expect(created).toBe(7);
+  });
+
+  it('should apply list updates within the current range', () => {
+    const renderer = getActiveRenderer();
+    const items = Cell.source(['a', 'b', 'c', 'd']);
+    const range = Cell.source({ start: 1, end: 3 });
+    const App = () => (
+      <div>
+        {For(
+          items,
+          (item) => (
+            <span>{item}</span>
+          ),
+          { window: { range } }
+        )}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('bc');
+
+    items.set(['a', 'x', 'b', 'c']);
+    expect(getTextContent(result)).toBe('xb');
+
+    items.set(['a']);
+    expect(getTextContent(result)).toBe('');
+  });
+
+  it('should render static lists through the window', () => {
+    const renderer = getActiveRenderer();
+    const range = Cell.source({ start: 1, end: 2 });
+    const App = () => (
+      <div>
+        {For(
+          ['a', 'b', 'c'],
+          (item) => (
+            <span>{item}</span>
+          ),
+          {
+            window: { range },
+          }
+        )}
+      </div>
+    );
+    const result = renderer.render(App) as NodeLike;
+    expect(getTextContent(result)).toBe('b');
+
+    range.set({ start: 2, end: 3 });
+    expect(getTextContent(result)).toBe('c');
+  });
+
+  it('should compute the initial range from the adapter', () => {
+    const { adapter } = createTestAdapter(100);
+    const ranges: Cell<{ start: number; end: number }>[] = [];
+    const App = () => {
+      ranges.push(createVirtualRange(adapter, { itemSize: 30 }));
+      return <div />;
+    };
+    getActiveRenderer().render(App);
+    expect(ranges[0].get()).toEqual({ start: 0, end: 4 });
+  });
+};
+
+describe('For window', () => {
+  describe('Browser', () => {
+    browserSetup();
+    runTests();
+
+    it('should follow the adapter once set up', async () => {
+      const renderer = getActiveRenderer();
+      const { adapter, listeners, scrollTo } = createTestAdapter(100);
+      const items = Cell.source(Array.from({ length: 100 }, (_, i) => i));
+      const App = () => {
+        const range = createVirtualRange(adapter, { itemSize: 50 });
+        return (
+          <div>
+            {For(
+              items,
+              (item) => (
+                <span>{item},</span>
+              ),
+              { window: { range } }
+            )}
+          </div>
+        );
+      };
+      const result = renderer.render(App) as HTMLElement;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+      expect(result.textContent).toBe('0,1,');
+
+      scrollTo(500);
+      expect(result.textContent).toBe('10,11,');
+      expect(listeners.size).toBe(1);
+    });
+
+    it('should read scroll and size from an element', async () => {
+      const renderer = getActiveRenderer();
+      const items = Cell.source(Array.from({ length: 1000 }, (_, i) => i));
+      const App = () => {
+        const viewport = Cell.source<HTMLElement | null>(null);
+        const range = createVirtualRange(createScrollAdapter(viewport), {
+          itemSize: 20,
+        });
+        return (
+          <div ref={viewport} style={{ height: '100px', overflow: 'auto' }}>
+            <div style={{ height: '20000px' }}>
+              {For(
+                items,
+                (item) => (
+                  <div>{item},</div>
+                ),
+                {
+                  window: { range },
+                }
+              )}
+            </div>
+          </div>
+        );
+      };
+      const result = renderer.render(App) as HTMLElement;
+      window.document.body.append(result);
+      await runPendingSetupEffects();
+      expect(result.textContent).toBe('0,1,2,3,4,');
+
+      result.scrollTop = 200;
+      await timeout(50);
+      expect(result.textContent).toBe('10,11,12,13,14,');
+    });
+  });
+
+  describe('VDom', () => {
+    vDomSetup();
+    runTests();
+  });
+});